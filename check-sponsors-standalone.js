@@ -4,692 +4,941 @@
  * Standalone Sponsor Validation Script
  * No external dependencies - uses only Node.js built-ins
  *
- * Usage: node check-sponsors-standalone.js
+ * Usage: node check-sponsors-standalone.js [report|check|suggest|diff|triage|changes|history|watch|tag] [options]
+ *
+ * With --config <file>, the command runs once per event in the file (see
+ * lib/events-config.js) and ends with a combined summary.
+ *
+ * Run with --help for the list of options. The checks themselves live in
+ * lib/checker.js; requiring this file gives the library API without running
+ * the CLI:
+ *
+ *   const { checkSponsors, generateCSV } = require("./check-sponsors-standalone.js");
  */
 
-const https = require("https");
 const fs = require("fs");
 const path = require("path");
-
-// Import constants from external file
-const GRID_SLUGS = require("./constants-grid.js");
-
-// Simple .env file parser
-function loadEnvFile() {
+const {
+  loadGridConstants,
+  parseGridSlugs,
+  rewriteGridSlugs,
+} = require("./lib/constants-source.js");
+const { createUnifiedDiff } = require("./lib/unified-diff.js");
+const {
+  DEFAULT_THRESHOLD,
+  buildAliasIndex,
+  loadAliases,
+} = require("./lib/matching.js");
+const checker = require("./lib/checker.js");
+const {
+  loadFixtureMeta,
+  replayFetch,
+  startRecording,
+} = require("./lib/fixtures.js");
+const errors = require("./lib/errors.js");
+const { UsageError, formatHelp, parseCliArgs } = require("./lib/cli.js");
+const {
+  FORMATTERS,
+  generateCSV,
+  generateHTML,
+  generateJSON,
+  generateJUnit,
+  generateMarkdown,
+} = require("./lib/formatters.js");
+const {
+  displayTable,
+  printEventsSummary,
+  printReport,
+  printSuggestions,
+  summarize,
+} = require("./lib/terminal-report.js");
+const {
+  eventConfig,
+  loadEventsConfig,
+  selectEvents,
+} = require("./lib/events-config.js");
+const {
+  DEFAULT_HISTORY_DIR,
+  createSnapshot,
+  diffSnapshots,
+  formatSnapshotDiff,
+  listSnapshots,
+  loadSnapshot,
+  saveSnapshot,
+} = require("./lib/history.js");
+const {
+  applyTagging,
+  buildTaggingPayloads,
+  createTaggingBatch,
+  listSkippedProfiles,
+} = require("./lib/tagging.js");
+const {
+  buildTriageItems,
+  describeDecision,
+  runTriage,
+  triageChanges,
+} = require("./lib/triage.js");
+const {
+  DEFAULT_INTERVAL_MS,
+  DEFAULT_WATCH_STATE,
+  parseInterval,
+  runWatchCycle,
+  watchSponsors,
+} = require("./lib/watch.js");
+const {
+  CONFIG_VARS,
+  isSecret,
+  loadEnv,
+  maskSecret,
+  maskSecrets,
+} = require("./lib/env.js");
+const log = require("./lib/logger.js");
+
+const {
+  checkSponsors,
+  defaultFetchGrid,
+  defaultFetchSanity,
+  DEFAULT_EVENT_TAG,
+  DEFAULT_GRID_ENDPOINT,
+} = checker;
+
+// Exit codes: discrepancies found vs. results that could not be trusted,
+// and runs that failed outright (bad flags or settings, Sanity unreachable)
+const EXIT_CODES = {
+  OK: 0,
+  DISCREPANCIES: 1,
+  LOOKUP_FAILED: 2,
+  COLLISIONS: 3,
+  FAILED: 4,
+};
+
+// Comments added to the constants file by --write
+const MISSING_NOTE = "missing Grid slug (new sponsor)";
+const STALE_NOTE = "STALE: not in Sanity";
+
+// Local copy of the upstream constants, used without --constants
+const LOCAL_CONSTANTS = "constants-grid.js";
+
+// Read GRID_SLUGS from the given source file, or the local copy. Parsed from
+// source (not required) so comments and commented-out entries are available
+// too. Only without a path, when the local copy can't be parsed, is it
+// required instead: its entries can be checked but there is no source to
+// rewrite. A given path that fails is never swapped for the local list.
+// Returns null (after logging) when nothing could be loaded
+function loadConstants(constantsPath) {
   try {
-    const envPath = path.join(__dirname, ".env");
-    const envContent = fs.readFileSync(envPath, "utf8");
-    const envVars = {};
-
-    envContent.split("\n").forEach((line) => {
-      const trimmedLine = line.trim();
-      if (
-        trimmedLine &&
-        !trimmedLine.startsWith("#") &&
-        trimmedLine.includes("=")
-      ) {
-        const equalIndex = trimmedLine.indexOf("=");
-        const key = trimmedLine.substring(0, equalIndex).trim();
-        const value = trimmedLine.substring(equalIndex + 1).trim();
-
-        if (key && value) {
-          envVars[key] = value;
-        }
-      }
-    });
-
-    console.log("🔧 Loaded environment variables:", Object.keys(envVars));
+    const constants = loadGridConstants(
+      constantsPath || path.join(__dirname, LOCAL_CONSTANTS),
+    );
+    log.info(
+      `📂 Loaded ${constants.entries.length} GRID_SLUGS entries from ${constants.path}`,
+    );
+    return constants;
+  } catch (error) {
+    log.error("❌ Error loading constants:", error.message);
+    if (constantsPath) return null;
+  }
 
-    return envVars;
+  const localPath = path.join(__dirname, LOCAL_CONSTANTS);
+  try {
+    // Re-read on every call (watch mode picks up edits)
+    delete require.cache[require.resolve(localPath)];
+    const map = require(localPath);
+    const entries = Object.entries(map).map(([key, value]) => ({
+      key,
+      value,
+      comment: null,
+      line: null,
+    }));
+    log.info(
+      `↩️  Falling back to require("./${LOCAL_CONSTANTS}"): ${entries.length} GRID_SLUGS entries`,
+    );
+    return {
+      path: localPath,
+      relativePath: LOCAL_CONSTANTS,
+      source: null,
+      map,
+      entries,
+      commentedOut: [],
+    };
   } catch (error) {
-    console.error("❌ Error reading .env file:", error.message);
-    console.error("Create a .env file with your Sanity credentials");
-    process.exit(1);
+    log.error(`❌ Error loading ${LOCAL_CONSTANTS}:`, error.message);
+    return null;
   }
 }
 
-// Load environment variables
-const env = loadEnvFile();
-const projectId = env.NEXT_PUBLIC_SANITY_PROJECT_ID;
-const dataset = env.NEXT_PUBLIC_SANITY_DATASET;
-const token = env.SANITY_API_READ_TOKEN;
-
-if (!projectId || !dataset || !token) {
-  console.error("❌ Missing required environment variables in .env file:");
-  console.error("   NEXT_PUBLIC_SANITY_PROJECT_ID");
-  console.error("   NEXT_PUBLIC_SANITY_DATASET");
-  console.error("   SANITY_API_READ_TOKEN");
-  process.exit(1);
+// Known renames between Sanity titles and constants keys (null on error)
+function loadAliasMap(aliasesPath) {
+  try {
+    return loadAliases(
+      aliasesPath || path.join(__dirname, "sponsor-aliases.json"),
+    );
+  } catch (error) {
+    log.error("❌ Error loading aliases:", error.message);
+    return null;
+  }
 }
 
-const perspective =
-  env.SANITY_PERSPECTIVE === "published"
-    ? "published"
-    : env.SANITY_PERSPECTIVE === "drafts"
-      ? "drafts"
-      : "published";
-
-// GROQ query to fetch sponsor sections
-const query = `*[_type == "page"]{
-  "sponsorSections": components[_type == "sponsorSection"]
-}`;
-
-// Make HTTPS request to check profile via GraphQL API
-function fetchFromGraphQL(query, variables = {}) {
-  return new Promise((resolve, reject) => {
-    const apiUrl = "https://beta.node.thegrid.id/graphql";
-
-    const postData = JSON.stringify({
-      query: query,
-      variables: variables,
-    });
-
-    const options = {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Accept: "application/json",
-        "Content-Length": Buffer.byteLength(postData),
-      },
-    };
-
-    const req = https.request(apiUrl, options, (res) => {
-      let data = "";
-
-      res.on("data", (chunk) => {
-        data += chunk;
-      });
-
-      res.on("end", () => {
-        try {
-          const result = JSON.parse(data);
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            resolve(result);
-          } else {
-            console.error("GraphQL Error Response:", data);
-            reject(
-              new Error(
-                `GraphQL request failed: ${res.statusCode} ${res.statusMessage}`,
-              ),
-            );
-          }
-        } catch (error) {
-          console.error("Raw response:", data);
-          reject(
-            new Error(`Failed to parse GraphQL response: ${error.message}`),
-          );
-        }
-      });
-    });
+// Settings from .env, .env.local and process.env (see lib/env.js). Returns
+// null (after logging) when a file can't be read
+function loadEnvironment(envDir) {
+  let loaded;
+  try {
+    loaded = loadEnv(envDir);
+  } catch (error) {
+    log.error("❌ Error reading env file:", error.message);
+    return null;
+  }
 
-    req.on("error", (error) => {
-      reject(new Error(`Request failed: ${error.message}`));
+  const sources = [
+    ...loaded.files.map((file) => path.basename(file)),
+    "process.env",
+  ];
+  log.info(`🔧 Settings from ${sources.join(", ")}`);
+  Object.keys(loaded.values)
+    .filter(
+      (key) =>
+        CONFIG_VARS.includes(key) || loaded.sources[key] !== "process.env",
+    )
+    .sort()
+    .forEach((key) => {
+      const value = isSecret(key)
+        ? maskSecret(loaded.values[key])
+        : loaded.values[key];
+      log.debug(`   ${key}=${value} (${loaded.sources[key]})`);
     });
 
-    req.setTimeout(10000, () => {
-      req.destroy();
-      reject(new Error("Request timeout"));
-    });
+  return loaded.values;
+}
 
-    req.write(postData);
-    req.end();
-  });
+function resolveHistoryDir(options) {
+  return path.resolve(options["history-dir"] || DEFAULT_HISTORY_DIR);
 }
 
-// Make HTTPS request to Sanity API
-function fetchFromSanity(query) {
-  return new Promise((resolve, reject) => {
-    const apiUrl = `https://${projectId}.api.sanity.io/v2025-03-04/data/query/${dataset}`;
-    const params = new URLSearchParams({
-      query: query,
-      perspective: perspective,
-    });
+// Settings of the current run, from the CLI flags and the environment. A
+// fresh object for every main() call, and for every event with --config
+let config = null;
+
+// Returns null (after logging) when a required setting is missing
+function buildConfig(options, env) {
+  const replaying = !!options.replay;
+  const projectId = env.NEXT_PUBLIC_SANITY_PROJECT_ID;
+  const dataset = env.NEXT_PUBLIC_SANITY_DATASET;
+  const token = env.SANITY_API_READ_TOKEN;
+
+  // Event tags to check: --tag flags, then GRID_EVENT_TAGS (comma separated)
+  const eventTagRefs =
+    options.tag && options.tag.length > 0
+      ? options.tag
+      : env.GRID_EVENT_TAGS
+        ? env.GRID_EVENT_TAGS.split(",")
+            .map((ref) => ref.trim())
+            .filter((ref) => ref)
+        : [DEFAULT_EVENT_TAG];
+
+  const envPerspective = ["published", "drafts", "raw"].includes(
+    env.SANITY_PERSPECTIVE,
+  )
+    ? env.SANITY_PERSPECTIVE
+    : "published";
+  const perspective = options.perspective || envPerspective;
+
+  // A replayed run needs no credentials, and with --config each event may
+  // bring its own. Published data can be read without a token
+  if (!replaying && !options.config) {
+    const missing = [
+      !projectId && "NEXT_PUBLIC_SANITY_PROJECT_ID",
+      !dataset && "NEXT_PUBLIC_SANITY_DATASET",
+      !token &&
+        perspective !== "published" &&
+        `SANITY_API_READ_TOKEN (needed for the ${perspective} perspective)`,
+    ].filter(Boolean);
+    if (missing.length > 0) {
+      log.error(
+        "❌ Missing required settings (set them in .env, .env.local or the environment):",
+      );
+      missing.forEach((name) => log.error(`   ${name}`));
+      return null;
+    }
+    if (!token) {
+      log.info(
+        "🔓 No SANITY_API_READ_TOKEN: reading published data anonymously",
+      );
+    }
+  }
 
-    const url = `${apiUrl}?${params}`;
+  const gridEndpoint =
+    options["grid-endpoint"] ||
+    env.GRID_GRAPHQL_ENDPOINT ||
+    DEFAULT_GRID_ENDPOINT;
 
-    const options = {
-      method: "GET",
-      headers: {
-        Authorization: `Bearer ${token}`,
-        "Content-Type": "application/json",
-      },
-    };
+  return {
+    projectId,
+    dataset,
+    token,
+    perspective,
+    sanityApiUrl: options["sanity-url"] || env.SANITY_API_URL || undefined,
+    gridEndpoint,
+    eventTagRefs,
+    pages: options.page || [],
+    sections: options.section || [],
+    dereference: !options["no-dereference"],
+    audit: !!options.audit,
+    constantsPath: options.constants || null,
+    aliasesPath: options.aliases || null,
+    matchThreshold:
+      options["match-threshold"] !== undefined
+        ? Number(options["match-threshold"])
+        : DEFAULT_THRESHOLD,
+    format: options.format || "csv",
+    outDir: options["out-dir"] || process.cwd(),
+    outFile: options.out || null,
+    historyDir: resolveHistoryDir(options),
+    // Replays would add out-of-order snapshots, so they are not saved
+    saveHistory: !options["no-history"] && !replaying,
+    recordDir: options.record ? path.resolve(options.record) : null,
+    replayDir: options.replay ? path.resolve(options.replay) : null,
+    requestDelay: replaying ? 0 : undefined,
+    intervalMs: options.interval
+      ? parseInterval(options.interval)
+      : DEFAULT_INTERVAL_MS,
+    webhookUrl: options.webhook || env.SPONSOR_WEBHOOK_URL || null,
+    watchStatePath: path.resolve(options["watch-state"] || DEFAULT_WATCH_STATE),
+    // Falls back to the (event's) Grid endpoint when not set
+    mutationEndpoint:
+      options["mutation-endpoint"] || env.GRID_MUTATION_ENDPOINT || null,
+    gridToken: env.GRID_API_TOKEN || null,
+    gridProfileUrl: env.GRID_PROFILE_URL || null,
+  };
+}
 
-    const req = https.request(url, options, (res) => {
-      let data = "";
+// Settings from flags given on the command line; with --config these win
+// over the event settings in the file
+function flagOverrides(options) {
+  const overrides = {};
+  if (options.perspective) overrides.perspective = options.perspective;
+  if (options["sanity-url"]) overrides.sanityApiUrl = options["sanity-url"];
+  if (options["grid-endpoint"]) {
+    overrides.gridEndpoint = options["grid-endpoint"];
+  }
+  if (options.tag) overrides.eventTagRefs = options.tag;
+  if (options.page) overrides.pages = options.page;
+  if (options.section) overrides.sections = options.section;
+  if (options["no-dereference"]) overrides.dereference = false;
+  if (options["match-threshold"] !== undefined) {
+    overrides.matchThreshold = Number(options["match-threshold"]);
+  }
+  if (options.constants) overrides.constantsPath = options.constants;
+  if (options.aliases) overrides.aliasesPath = options.aliases;
+  return overrides;
+}
 
-      res.on("data", (chunk) => {
-        data += chunk;
-      });
+// Apply the report's fixes to the constants file (or preview them as a diff)
+function updateConstantsFile(validation, { dryRun, prune }) {
+  log.info("\n✏️  Preparing constants file update...");
 
-      res.on("end", () => {
-        try {
-          const result = JSON.parse(data);
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            resolve(result);
-          } else {
-            console.error("API Error Response:", data);
-            reject(
-              new Error(
-                `API request failed: ${res.statusCode} ${res.statusMessage}`,
-              ),
-            );
-          }
-        } catch (error) {
-          console.error("Raw response:", data);
-          reject(new Error(`Failed to parse API response: ${error.message}`));
-        }
-      });
-    });
+  let constants;
+  try {
+    constants = loadGridConstants(
+      config.constantsPath || path.join(__dirname, LOCAL_CONSTANTS),
+    );
+  } catch (error) {
+    log.error("❌ Error loading constants for update:", error.message);
+    return;
+  }
 
-    req.on("error", (error) => {
-      reject(new Error(`Request failed: ${error.message}`));
-    });
+  const updated = rewriteGridSlugs(constants, {
+    add: validation.missingInConstants.map((title) => {
+      const suggestion = validation.slugSuggestions.find(
+        (candidate) => candidate.title === title,
+      );
+      const best = suggestion?.candidates[0];
+      return {
+        key: title,
+        value: null,
+        comment: best
+          ? `${MISSING_NOTE}, suggested "${best.slug}" (${Math.round(best.confidence * 100)}%)`
+          : MISSING_NOTE,
+      };
+    }),
+    flag: [
+      ...(prune
+        ? []
+        : validation.extraInConstants.map((key) => ({
+            key,
+            note: STALE_NOTE,
+          }))),
+      ...validation.probableRenames
+        .filter((rename) => rename.reason !== "normalized")
+        .map((rename) => ({
+          key: rename.key,
+          note: `CHECK: probably "${rename.title}" in Sanity`,
+        })),
+      ...validation.slugMismatches
+        .filter((result) => result.correction.matchType === "partial")
+        .map((result) => ({
+          key: result.sponsorTitle,
+          note: `CHECK: Grid slug may be "${result.correction.slug}"`,
+        })),
+    ],
+    update: validation.slugMismatches
+      .filter((result) => result.correction.matchType === "case")
+      .map((result) => ({
+        key: result.sponsorTitle,
+        value: result.correction.slug,
+      })),
+    rename: validation.probableRenames
+      .filter((rename) => rename.reason === "normalized")
+      .map((rename) => ({ from: rename.key, to: rename.title })),
+    remove: prune ? validation.extraInConstants : [],
+  });
 
-    req.end();
+  const relativePath = constants.relativePath;
+  const diff = createUnifiedDiff(constants.source, updated, {
+    fromFile: `a/${relativePath}`,
+    toFile: `b/${relativePath}`,
   });
-}
 
-async function fetchGridDataBatch(slugs) {
-  try {
-    const batchSize = 50; // Reasonable batch size to avoid query complexity limits
-    const allProfiles = [];
-
-    // Process slugs in batches
-    for (let i = 0; i < slugs.length; i += batchSize) {
-      const batchSlugs = slugs.slice(i, i + batchSize);
-      console.log(
-        `🔍 Fetching batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(slugs.length / batchSize)} (${batchSlugs.length} slugs)`,
-      );
+  if (!diff) {
+    log.info("✅ Constants file is already up to date");
+    return;
+  }
 
-      const graphqlQuery = `query BatchProfiles($slugs: [String!]!) {
-        roots(where: {slug: {_in: $slugs}}) {
-          id
-          slug
-          urlMain
-          profileTags {
-            id
-            tagId
-            tag {
-              id
-              name
-            }
-          }
-        }
-      }`;
-
-      const result = await fetchFromGraphQL(graphqlQuery, {
-        slugs: batchSlugs,
-      });
-      if (result.data?.roots) {
-        allProfiles.push(...result.data.roots);
-      }
-
-      // Small delay between batches to be respectful
-      if (i + batchSize < slugs.length) {
-        await new Promise((resolve) => setTimeout(resolve, 200));
-      }
-    }
+  if (dryRun) {
+    log.info(`📝 Proposed changes to ${relativePath} (dry run):\n`);
+    log.output(diff.trimEnd());
+    return;
+  }
 
-    return allProfiles;
+  try {
+    fs.writeFileSync(constants.path, updated, "utf8");
+    log.info(`✅ Updated ${relativePath}`);
   } catch (error) {
-    console.error(`❌ Error fetching batch grid data:`, error.message);
-    return [];
+    log.error("❌ Error writing constants file:", error.message);
   }
 }
 
-async function getTagDetails(tagIds) {
-  if (tagIds.length === 0) return [];
+// Where an output file goes: --out or the default name, prefixed with the
+// event id for --config runs so events don't overwrite each other
+function outputPath(defaultName) {
+  const filename = config.outFile || defaultName;
+  return path.resolve(
+    config.outDir,
+    config.eventId ? `${config.eventId}-${filename}` : filename,
+  );
+}
+
+// Save the report file in the requested format
+function writeReportFile(validation) {
+  const formatter = FORMATTERS[config.format];
+  const date = validation.checkedAt.split("T")[0];
+  const filePath = outputPath(
+    `sponsor-validation-${date}.${formatter.extension}`,
+  );
+  const label = config.format.toUpperCase();
 
   try {
-    const graphqlQuery = `query GetTagDetails($tagIds: [String!]!) {
-      tags(where: {id: {_in: $tagIds}}) {
-        id
-        name
-      }
-    }`;
-
-    const result = await fetchFromGraphQL(graphqlQuery, { tagIds });
-    return result.data?.tags || [];
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(
+      filePath,
+      formatter.render(validation, { profileUrl: config.gridProfileUrl }),
+      "utf8",
+    );
+    log.info(`\n📄 ${label} report saved to: ${filePath}`);
   } catch (error) {
-    console.error("Error fetching tag details:", error.message);
-    return [];
+    log.error(`❌ Error saving ${label} file:`, error.message);
   }
 }
 
-async function processGridProfilesWithTags(profiles, sponsorSlugs) {
-  const targetExternalTagId = "id1760088086-NEyjzLNeTcyFkhytuCu6RQ";
+/**
+ * Save this run as a snapshot and compare it with an earlier one: the
+ * snapshot given with --since, otherwise the most recent before this run.
+ * Returns the diff, or null when there is nothing to compare with.
+ */
+function recordRun(validation, apiSponsors, since) {
+  const snapshot = createSnapshot(validation, apiSponsors);
+  let saved = null;
+
+  if (config.saveHistory) {
+    try {
+      saved = saveSnapshot(config.historyDir, snapshot);
+      log.debug(`🕑 Snapshot saved to: ${saved.path}`);
+    } catch (error) {
+      log.error("❌ Error saving run snapshot:", error.message);
+    }
+  }
 
-  // Collect all unique tag IDs from the nested tag data
-  const allTagIds = new Set();
-  profiles.forEach((profile) => {
-    profile.profileTags?.forEach((profileTag) => {
-      if (profileTag.tag?.id) {
-        allTagIds.add(profileTag.tag.id);
-      }
-    });
-  });
+  try {
+    const previous = since
+      ? loadSnapshot(config.historyDir, since)
+      : loadSnapshot(config.historyDir, "latest", { exclude: saved?.id });
+    return previous ? diffSnapshots(previous, snapshot) : null;
+  } catch (error) {
+    log.error("❌ Error loading snapshot:", error.message);
+    return null;
+  }
+}
 
-  console.log(`🏷  Found ${allTagIds.size} unique tags from profiles`);
+// The history command: list snapshots, or compare --since with the latest
+function showHistory(options) {
+  const historyDir = resolveHistoryDir(options);
+  const ids = listSnapshots(historyDir);
 
-  // Check if target tag is in the data
-  const hasTargetTagInData =
-    Array.from(allTagIds).includes(targetExternalTagId);
-  if (hasTargetTagInData) {
-    console.log(`🎯 Target Breakpoint 2025 tag found in data!`);
-  } else {
-    console.log(
-      `!  Target Breakpoint 2025 tag (${targetExternalTagId}) not found in any profile`,
-    );
+  if (ids.length === 0) {
+    log.output(`No snapshots in ${historyDir}`);
+    return;
   }
 
-  const profileMap = new Map();
-
-  // Create a map of slug -> profile data
-  profiles.forEach((profile) => {
-    const hasTargetTag =
-      profile.profileTags?.some(
-        (profileTag) => profileTag.tag?.id === targetExternalTagId,
-      ) || false;
-    const hasBreakpointTag = hasTargetTag; // Same as target tag for now
-
-    // Extract tag data from nested structure
-    const enrichedTags =
-      profile.profileTags?.map((profileTag) => ({
-        id: profileTag.tag?.id || profileTag.id,
-        name: profileTag.tag?.name || "Unknown",
-      })) || [];
-
-    profileMap.set(profile.slug, {
-      exists: true,
-      id: profile.id,
-      slug: profile.slug,
-      urlMain: profile.urlMain,
-      hasTargetTag,
-      hasBreakpointTag,
-      externalTags: enrichedTags,
-    });
-  });
+  if (!options.since) {
+    ids.forEach((id) => log.output(id));
+    return;
+  }
 
-  // Return results for all requested slugs, including missing ones
-  return sponsorSlugs.map((slug) => {
-    return (
-      profileMap.get(slug) || {
-        exists: false,
-        error: "Profile not found",
-        slug: slug,
-        externalTags: [],
-      }
-    );
-  });
+  const before = loadSnapshot(historyDir, options.since);
+  const after = loadSnapshot(historyDir, "latest");
+  formatSnapshotDiff(diffSnapshots(before, after)).forEach((line) =>
+    log.output(line),
+  );
 }
 
-async function fetchSponsors() {
-  try {
-    console.log("🔍 Fetching sponsors from Sanity API...");
-
-    const result = await fetchFromSanity(query);
-    const pages = result.result || [];
-
-    const allSponsors = [];
-    const allSupportingSponsors = [];
-
-    // Extract sponsors from all pages
-    pages.forEach((page) => {
-      if (page.sponsorSections) {
-        page.sponsorSections.forEach((section) => {
-          if (section._type === "sponsorSection") {
-            if (section.sponsors) {
-              allSponsors.push(...section.sponsors);
-            }
-            if (section.supportingSponsors) {
-              allSupportingSponsors.push(...section.supportingSponsors);
-            }
-          }
-        });
-      }
-    });
-
-    console.log(
-      `✅ Found ${allSponsors.length} main sponsors and ${allSupportingSponsors.length} supporting sponsors`,
+// Fetch functions and clock for --record / --replay (none for a live run)
+function setUpFixtures() {
+  if (config.replayDir) {
+    const meta = loadFixtureMeta(config.replayDir);
+    log.info(
+      `⏪ Replaying responses recorded at ${meta.recordedAt} from ${config.replayDir}`,
     );
+    return {
+      fetchSanity: replayFetch(config.replayDir, "sanity"),
+      fetchGrid: replayFetch(config.replayDir, "grid"),
+      now: meta.recordedAt,
+    };
+  }
 
+  if (config.recordDir) {
+    const now = new Date().toISOString();
+    const record = startRecording(config.recordDir, {
+      recordedAt: now,
+      config,
+    });
+    log.info(`⏺  Recording responses to ${config.recordDir}`);
     return {
-      sponsors: allSponsors,
-      supportingSponsors: allSupportingSponsors,
-      combined: [...allSponsors, ...allSupportingSponsors],
+      fetchSanity: record("sanity", defaultFetchSanity),
+      fetchGrid: record("grid", defaultFetchGrid),
+      now,
     };
-  } catch (error) {
-    console.error("❌ Error fetching sponsors from API:", error.message);
-    process.exit(1);
   }
+
+  return {};
 }
 
-async function validateSponsorsWithGrid(apiSponsors, gridConstants) {
-  console.log(
-    "\n📊 Validating sponsors against constants grid and fetching Grid data...",
-  );
+// The tag command: mutations adding the event tags to profiles that lack
+// them, written to a batch file (dry run) or sent with --apply
+async function tagProfiles(validation, options) {
+  const payloads = buildTaggingPayloads(validation);
+  // Probable renames may be another company: never tagged automatically
+  const skipped = listSkippedProfiles(validation);
+  if (skipped.length > 0) {
+    log.output(`\n🔎 SKIPPED, REVIEW BY HAND (${skipped.length}):`);
+    skipped.forEach((profile) =>
+      log.output(
+        `   • ${profile.sponsorTitle} (${profile.slug}, ${profile.profileId}) is only probably "${profile.sanityTitle}" in Sanity`,
+      ),
+    );
+  }
+  if (payloads.length === 0) {
+    log.output(
+      skipped.length > 0
+        ? "No other tags to add"
+        : "✅ Every Grid profile already has the event tags",
+    );
+    return EXIT_CODES.OK;
+  }
 
-  // Extract titles from API sponsors
-  const apiSponsorTitles = apiSponsors.combined
-    .map((sponsor) => sponsor.title)
-    .filter((title) => title) // Remove undefined/empty titles
-    .sort();
+  log.info(`\n🏷  TAGS TO ADD (${payloads.length}):`);
+  payloads.forEach((payload) =>
+    log.info(
+      `   • ${payload.sponsorTitle} (${payload.slug}, ${payload.profileId}) + ${payload.tagName}`,
+    ),
+  );
 
-  // Extract keys from grid constants (excluding null values)
-  const gridKeys = Object.keys(gridConstants)
-    .filter((key) => gridConstants[key] !== null)
-    .sort();
+  const endpoint = config.mutationEndpoint || config.gridEndpoint;
+  if (!options.apply) {
+    const date = validation.checkedAt.split("T")[0];
+    const filePath = outputPath(`grid-tagging-${date}.json`);
+    const batch = createTaggingBatch(payloads, {
+      createdAt: validation.checkedAt,
+      endpoint,
+      skipped,
+    });
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify(batch, null, 2) + "\n", "utf8");
+    } catch (error) {
+      log.error("❌ Error saving tagging batch:", error.message);
+      return EXIT_CODES.FAILED;
+    }
+    log.output(
+      `📝 Dry run: ${payloads.length} mutations saved to ${filePath}; run again with --apply to send them to ${endpoint}`,
+    );
+    return EXIT_CODES.OK;
+  }
 
-  // Find missing sponsors (in API but not in constants)
-  const missingInConstants = apiSponsorTitles.filter(
-    (title) => !gridKeys.includes(title),
+  if (!config.gridToken) {
+    log.info("!  GRID_API_TOKEN is not set, sending mutations without a token");
+  }
+  const results = await applyTagging(payloads, {
+    endpoint,
+    token: config.gridToken,
+    requestDelay: config.requestDelay,
+  });
+  const failed = results.filter((result) => !result.applied);
+  log.output(
+    `🏷  Applied ${results.length - failed.length}/${results.length} tags${failed.length > 0 ? `, ${failed.length} failed` : ""}`,
   );
+  // Failed mutations are a failed run, not a discrepancy
+  return failed.length > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK;
+}
+
+// The triage command: go through the discrepancies one by one, then save
+// the answers to the constants file (--dry-run prints the diff instead)
+async function triage(validation, constants, options) {
+  const items = buildTriageItems(validation, constants.map);
+  if (items.length === 0) {
+    log.output("✅ Nothing to triage");
+    return EXIT_CODES.OK;
+  }
+  if (constants.source === null) {
+    log.error("❌ Triage needs a constants file it can read and rewrite");
+    return EXIT_CODES.FAILED;
+  }
 
-  // Find extra constants (in constants but not in API)
-  const extraInConstants = gridKeys.filter(
-    (key) => !apiSponsorTitles.includes(key),
+  log.info(
+    `\n🧭 TRIAGE: ${items.length} discrepancies in ${constants.relativePath}`,
   );
+  const { decisions, quit } = await runTriage(items, {
+    input: process.stdin,
+    output: process.stdout,
+    profileUrl: config.gridProfileUrl,
+  });
+  if (quit) log.info("\n⏹  Triage stopped, keeping the answers so far");
 
-  // Fetch Grid data for all sponsors with slugs in batches
-  console.log("\n🔍 Checking Grid profiles via GraphQL (batch mode)...");
+  if (decisions.length === 0) {
+    log.output("No decisions to save");
+    return EXIT_CODES.OK;
+  }
 
-  // Collect all valid slugs and their corresponding sponsor titles
-  const slugsToFetch = [];
-  const slugToSponsorMap = new Map();
+  log.info(`\n📋 DECISIONS (${decisions.length}):`);
+  decisions.forEach((decision) => log.info(`   ${describeDecision(decision)}`));
 
-  for (const [sponsorTitle, slug] of Object.entries(gridConstants)) {
-    if (slug && slug !== null) {
-      slugsToFetch.push(slug);
-      slugToSponsorMap.set(slug, sponsorTitle);
-    }
+  const updated = rewriteGridSlugs(constants, triageChanges(decisions));
+  if (options["dry-run"]) {
+    const diff = createUnifiedDiff(constants.source, updated, {
+      fromFile: `a/${constants.relativePath}`,
+      toFile: `b/${constants.relativePath}`,
+    });
+    log.output(diff.trimEnd());
+    return EXIT_CODES.OK;
   }
 
-  console.log(`📊 Found ${slugsToFetch.length} slugs to check in Grid`);
+  try {
+    fs.writeFileSync(constants.path, updated, "utf8");
+  } catch (error) {
+    log.error("❌ Error writing constants file:", error.message);
+    return EXIT_CODES.FAILED;
+  }
+  log.output(
+    `✅ Saved ${decisions.length} decisions to ${constants.relativePath}`,
+  );
+  return EXIT_CODES.OK;
+}
 
-  // Fetch all profiles in batches
-  const allProfiles = await fetchGridDataBatch(slugsToFetch);
-  console.log(`✅ Retrieved ${allProfiles.length} profiles from Grid`);
+// The watch command: re-run the check until the process is stopped. The
+// constants file is re-read every cycle, so merged updates are picked up
+function watch(options, aliases, network) {
+  log.info(
+    `👀 Watching every ${options.interval || "15m"}, ${config.webhookUrl ? "announcing changes to the webhook" : "no webhook (terminal only)"}`,
+  );
 
-  // Process results to match with sponsor data
-  const profileResults = await processGridProfilesWithTags(
-    allProfiles,
-    slugsToFetch,
+  return watchSponsors(
+    async () => {
+      const constants = loadConstants(config.constantsPath);
+      if (!constants) throw new Error("No constants to check against");
+      const { validation } = await checkSponsors(config, {
+        constants,
+        aliases,
+        tier: options.tier,
+        ...network,
+      });
+      return validation;
+    },
+    {
+      intervalMs: config.intervalMs,
+      webhookUrl: config.webhookUrl,
+      statePath: config.watchStatePath,
+    },
   );
+}
 
-  // Create final results array with sponsor information
-  const gridDataResults = profileResults.map((profileData) => ({
-    sponsorTitle: slugToSponsorMap.get(profileData.slug),
-    slug: profileData.slug,
-    exists: profileData.exists,
-    profileId: profileData.id || null,
-    profileSlug: profileData.slug || profileData.slug,
-    urlMain: profileData.urlMain || null,
-    hasTargetTag: profileData.hasTargetTag || false,
-    hasBreakpointTag: profileData.hasBreakpointTag || false,
-    externalTags: profileData.externalTags || [],
-    error: profileData.error || null,
-  }));
-
-  // Generate report
-  console.log("\n" + "=".repeat(80));
-  console.log("                    SPONSOR VALIDATION REPORT");
-  console.log("=".repeat(80));
-
-  console.log(`\n📈 SUMMARY:`);
-  console.log(`   API Sponsors Total: ${apiSponsors.combined.length}`);
-  console.log(`   API Sponsors with titles: ${apiSponsorTitles.length}`);
-  console.log(`   Constants Grid entries: ${gridKeys.length}`);
-  console.log(`   Missing from constants: ${missingInConstants.length}`);
-  console.log(`   Extra in constants: ${extraInConstants.length}`);
-  console.log(`   Grid slugs checked: ${gridDataResults.length}`);
-
-  if (extraInConstants.length > 0) {
-    console.log(
-      `\n!  CONSTANTS NOT FOUND IN API (${extraInConstants.length}):`,
-    );
-    extraInConstants.forEach((key) => {
-      const slug = gridConstants[key];
-      console.log(`   • ${key} → ${slug}`);
-    });
+// Run the CLI and resolve with the exit code. .env and .env.local are read
+// from `envDir` (default: next to this script)
+async function main(argv, { envDir = __dirname } = {}) {
+  let command;
+  let options;
+  try {
+    ({ command, options } = parseCliArgs(argv));
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    log.error(`❌ ${error.message}\n`);
+    log.error(formatHelp());
+    return EXIT_CODES.FAILED;
   }
 
-  if (missingInConstants.length === 0 && extraInConstants.length === 0) {
-    console.log("\n✅ ALL SPONSORS MATCH! No discrepancies found.");
+  if (options.help) {
+    log.output(formatHelp());
+    return EXIT_CODES.OK;
   }
 
-  // Show Grid data results
-  const existingProfiles = gridDataResults.filter((result) => result.exists);
-  const missingProfiles = gridDataResults.filter((result) => !result.exists);
-  const breakpointSponsors = gridDataResults.filter(
-    (result) => result.hasBreakpointTag,
-  );
-  const targetTagSponsors = gridDataResults.filter(
-    (result) => result.hasTargetTag,
+  log.setLevel(
+    options.quiet ? "quiet" : options.verbose ? "verbose" : "normal",
   );
 
-  console.log(`\n🌐 GRID PROFILE CHECK RESULTS:`);
-  console.log(
-    `   Profiles found in Grid: ${existingProfiles.length}/${gridDataResults.length}`,
-  );
-  console.log(`   Profiles not found: ${missingProfiles.length}`);
-  console.log(
-    `   Profiles with errors: ${gridDataResults.filter((r) => r.error && r.error !== "Profile not found").length}`,
-  );
-  console.log(
-    `   Sponsors with "Breakpoint 2025" tag: ${breakpointSponsors.length}`,
-  );
-  console.log(
-    `   Sponsors with target tag (id1760088086-NEyjzLNeTcyFkhytuCu6RQ): ${targetTagSponsors.length}`,
-  );
+  // Snapshots are local files, no credentials or network needed
+  if (command === "history") {
+    try {
+      showHistory(options);
+    } catch (error) {
+      log.error(`❌ ${error.message}`);
+      return EXIT_CODES.FAILED;
+    }
+    return EXIT_CODES.OK;
+  }
 
-  // if (breakpointSponsors.length > 0) {
-  //   console.log(`\n🎯 BREAKPOINT 2025 SPONSORS:`);
-  //   breakpointSponsors.forEach((sponsor) => {
-  //     console.log(
-  //       `   • ${sponsor.sponsorTitle} (${sponsor.profileSlug}) - ID: ${sponsor.profileId}`,
-  //     );
-  //   });
-  // }
-  //
-  // if (targetTagSponsors.length > 0) {
-  //   console.log(`\n🏷  TARGET TAG SPONSORS:`);
-  //   targetTagSponsors.forEach((sponsor) => {
-  //     console.log(
-  //       `   • ${sponsor.sponsorTitle} (${sponsor.profileSlug}) - ID: ${sponsor.profileId}`,
-  //     );
-  //   });
-  // }
-  //
-  // if (existingProfiles.length > 0) {
-  //   console.log(`\n✅ EXISTING PROFILES IN GRID:`);
-  //   existingProfiles.forEach((sponsor) => {
-  //     const tagNames = sponsor.externalTags
-  //       .map((tag) => tag.name)
-  //       .filter((name) => name !== "Unknown");
-  //     const tagIds = sponsor.externalTags.map((tag) => tag.id).slice(0, 3);
-  //     const tagSummary =
-  //       tagNames.length > 0
-  //         ? ` (${tagNames.slice(0, 3).join(", ")}${tagNames.length > 3 ? "..." : ""})`
-  //         : tagIds.length > 0
-  //           ? ` (IDs: ${tagIds.join(", ")}${sponsor.externalTags.length > 3 ? "..." : ""})`
-  //           : "";
-  //     console.log(
-  //       `   • ${sponsor.sponsorTitle} (${sponsor.profileSlug}) - Tags: ${sponsor.externalTags.length}${tagSummary}`,
-  //     );
-  //   });
-  // }
-
-  if (missingInConstants.length > 0) {
-    console.log(
-      `\n❌ SPONSORS IN API BUT MISSING FROM CONSTANTS (${missingInConstants.length}):`,
-    );
-    missingInConstants.forEach((title) => {
-      console.log(`   • ${title}`);
-    });
+  const env = loadEnvironment(envDir);
+  if (!env) return EXIT_CODES.FAILED;
+  const built = buildConfig(options, env);
+  if (!built) return EXIT_CODES.FAILED;
+  config = built;
+  log.debug("⚙️  Config:", maskSecrets(config));
+
+  log.info("🚀 Starting Standalone Sponsor Validation Script\n");
+
+  if (options.config) {
+    return runEvents(command, options, env);
   }
 
-  if (missingProfiles.length > 0) {
-    console.log(`\n❌ MISSING PROFILES:`);
-    missingProfiles.forEach((sponsor) => {
-      console.log(`   • ${sponsor.sponsorTitle} (${sponsor.slug})`);
-    });
+  if (command === "watch") {
+    const aliases = loadAliasMap(config.aliasesPath);
+    if (!aliases) return EXIT_CODES.FAILED;
+
+    let network;
+    try {
+      network = setUpFixtures();
+    } catch (error) {
+      log.error(`❌ ${error.message}`);
+      return EXIT_CODES.FAILED;
+    }
+    await watch(options, aliases, network);
+    return EXIT_CODES.OK;
   }
 
-  console.log("\n" + "=".repeat(80));
+  const { exitCode } = await runCommand(command, options);
+  return exitCode;
+}
 
-  // Show detailed breakdown by category
-  console.log(`\n📋 DETAILED BREAKDOWN:`);
-  console.log(`   Main sponsors: ${apiSponsors.sponsors.length}`);
-  console.log(
-    `   Supporting sponsors: ${apiSponsors.supportingSponsors.length}`,
-  );
+// Validate with the current config and run the command. Resolves with the
+// exit code, the validation (null when it could not be run) and whether
+// the run failed (as opposed to finding discrepancies)
+async function runCommand(command, options) {
+  const failed = {
+    exitCode: EXIT_CODES.FAILED,
+    validation: null,
+    failed: true,
+  };
 
-  const sponsorsWithoutTitles = apiSponsors.combined.filter(
-    (sponsor) => !sponsor.title,
-  );
-  if (sponsorsWithoutTitles.length > 0) {
-    console.log(
-      `\n!  SPONSORS WITHOUT TITLES (${sponsorsWithoutTitles.length}):`,
-    );
-    sponsorsWithoutTitles.forEach((sponsor, index) => {
-      console.log(`   • Sponsor ${index + 1} (key: ${sponsor._key || "N/A"})`);
+  const constants = loadConstants(config.constantsPath);
+  const aliases = loadAliasMap(config.aliasesPath);
+  if (!constants || !aliases) return failed;
+
+  let network;
+  try {
+    network = setUpFixtures();
+  } catch (error) {
+    log.error(`❌ ${error.message}`);
+    return failed;
+  }
+
+  let result;
+  try {
+    result = await checkSponsors(config, {
+      constants,
+      aliases,
+      tier: options.tier,
+      ...network,
     });
+  } catch (error) {
+    if (!(error instanceof errors.SponsorCheckError)) throw error;
+    log.error(`❌ ${error.message}`);
+    return failed;
   }
+  const { validation, apiSponsors } = result;
+  // --config runs end with a combined summary instead of one per event
+  const summaryLine = !config.eventId;
 
-  return {
-    isValid: missingInConstants.length === 0 && extraInConstants.length === 0,
-    missingInConstants,
-    extraInConstants,
-    apiSponsorTitles,
-    gridKeys,
-    gridDataResults,
-    existingProfiles,
-    missingProfiles,
-    breakpointSponsors,
-    targetTagSponsors,
-  };
-}
+  if (command === "report") {
+    printReport(validation, apiSponsors, constants.map);
 
-function generateCSV(data) {
-  const headers = [
-    "Sponsor Title",
-    "Slug",
-    "Profile Exists in Grid",
-    "Profile ID",
-    "Profile Slug",
-    "Main URL",
-    "Has Breakpoint 2025 Tag",
-    "Has Target Tag",
-    "External Tags Count",
-    "Tag IDs",
-    "Tag Names",
-    "Error",
-  ];
+    // Display table in terminal
+    displayTable(validation);
 
-  const csvRows = [headers.join(",")];
-
-  data.gridDataResults.forEach((result) => {
-    const tagIds = result.externalTags.map((tag) => tag.id).join("; ");
-    const tagNames = result.externalTags
-      .map((tag) => tag.name)
-      .filter((name) => name !== "Unknown")
-      .join("; ");
-
-    const row = [
-      `"${result.sponsorTitle}"`,
-      `"${result.slug}"`,
-      result.exists ? "Yes" : "No",
-      `"${result.profileId || ""}"`,
-      `"${result.profileSlug || ""}"`,
-      `"${result.urlMain || ""}"`,
-      result.hasBreakpointTag ? "Yes" : "No",
-      result.hasTargetTag ? "Yes" : "No",
-      result.externalTags.length,
-      `"${tagIds}"`,
-      `"${tagNames}"`,
-      `"${result.error || ""}"`,
-    ];
-    csvRows.push(row.join(","));
-  });
+    writeReportFile(validation);
 
-  return csvRows.join("\n");
-}
+    const changes = recordRun(validation, apiSponsors, options.since);
+    if (changes) {
+      log.info("");
+      formatSnapshotDiff(changes).forEach((line) => log.info(line));
+    }
 
-function displayTable(data) {
-  console.log("\n📊 SPONSOR GRID PROFILE CHECK TABLE:");
-  console.log("=".repeat(130));
-
-  const headers = [
-    "Sponsor",
-    "Slug",
-    "Profile Exists",
-    "Profile ID",
-    "Breakpoint 2025",
-    "Target Tag",
-    "Tags Count",
-  ];
-  const colWidths = [20, 15, 15, 12, 15, 12, 12];
+    if (options.write || options["dry-run"]) {
+      updateConstantsFile(validation, {
+        dryRun: options["dry-run"],
+        prune: options.prune,
+      });
+    }
 
-  // Print header
-  let headerRow = "";
-  headers.forEach((header, i) => {
-    headerRow += header.padEnd(colWidths[i]) + " | ";
-  });
-  console.log(headerRow);
-  console.log("-".repeat(130));
-
-  // Print rows
-  data.gridDataResults.forEach((result) => {
-    const row = [
-      result.sponsorTitle.length > 17
-        ? result.sponsorTitle.substring(0, 17) + "..."
-        : result.sponsorTitle,
-      result.slug.length > 12
-        ? result.slug.substring(0, 12) + "..."
-        : result.slug,
-      result.exists ? "✅" : "❌",
-      result.profileId ? result.profileId.substring(0, 9) + "..." : "",
-      result.hasBreakpointTag ? "✅" : "❌",
-      result.hasTargetTag ? "✅" : "❌",
-      result.externalTags.length.toString(),
-    ];
-
-    let dataRow = "";
-    row.forEach((cell, i) => {
-      dataRow += String(cell).padEnd(colWidths[i]) + " | ";
+    if (summaryLine && log.getLevel() === "quiet") {
+      log.output(summarize(validation));
+    }
+  } else if (command === "check") {
+    if (options.out || options["out-dir"]) {
+      writeReportFile(validation);
+    }
+    recordRun(validation, apiSponsors, options.since);
+    if (summaryLine) log.output(summarize(validation));
+  } else if (command === "suggest") {
+    printSuggestions(validation);
+  } else if (command === "diff") {
+    updateConstantsFile(validation, {
+      dryRun: !options.write,
+      prune: options.prune,
     });
-    console.log(dataRow);
-  });
+  } else if (command === "triage" || command === "tag") {
+    // Their exit code is about saving or sending, not the discrepancies
+    const exitCode =
+      command === "triage"
+        ? await triage(validation, constants, options)
+        : await tagProfiles(validation, options);
+    return { exitCode, validation, failed: exitCode !== EXIT_CODES.OK };
+  } else if (command === "changes") {
+    const changes = recordRun(validation, apiSponsors, options.since);
+    if (changes) {
+      formatSnapshotDiff(changes).forEach((line) => log.output(line));
+    } else {
+      log.output("No earlier snapshot to compare with");
+    }
+  }
 
-  console.log("=".repeat(130));
+  return {
+    exitCode: validationExitCode(validation),
+    validation,
+    failed: false,
+  };
 }
 
-async function main() {
-  console.log("🚀 Starting Standalone Sponsor Validation Script\n");
-
-  const apiSponsors = await fetchSponsors();
-  const validation = await validateSponsorsWithGrid(apiSponsors, GRID_SLUGS);
-
-  // Display table in terminal
-  displayTable(validation);
-
-  // Generate and save CSV
-  const csvContent = generateCSV(validation);
-  const csvFilename = `sponsor-validation-${new Date().toISOString().split("T")[0]}.csv`;
+function validationExitCode(validation) {
+  if (validation.lookupFailures.length > 0) {
+    return EXIT_CODES.LOOKUP_FAILED;
+  }
+  if (validation.collisions.length > 0) {
+    return EXIT_CODES.COLLISIONS;
+  }
+  return validation.isValid ? EXIT_CODES.OK : EXIT_CODES.DISCREPANCIES;
+}
 
+// Most serious exit code first, for events that ran. A failed event run
+// outranks all of them
+const EXIT_PRECEDENCE = [
+  EXIT_CODES.LOOKUP_FAILED,
+  EXIT_CODES.COLLISIONS,
+  EXIT_CODES.DISCREPANCIES,
+  EXIT_CODES.OK,
+];
+
+// The --config run: the command once per selected event, each with its
+// own settings, then a combined summary. Exits with FAILED if any event run
+// failed, otherwise with the most serious code
+async function runEvents(command, options, env) {
+  let events;
   try {
-    fs.writeFileSync(csvFilename, csvContent, "utf8");
-    console.log(`\n📄 CSV report saved to: ${csvFilename}`);
+    const eventsConfig = loadEventsConfig(options.config);
+    events = selectEvents(eventsConfig.events, options.event);
+    log.info(
+      `🗂  ${events.length} of ${eventsConfig.events.length} events from ${eventsConfig.path}`,
+    );
   } catch (error) {
-    console.error("❌ Error saving CSV file:", error.message);
+    if (!(error instanceof errors.ConfigError)) throw error;
+    log.error(`❌ ${error.message}`);
+    return EXIT_CODES.FAILED;
   }
 
-  process.exit(validation.isValid ? 0 : 1);
+  const base = config;
+  const overrides = flagOverrides(options);
+  const results = [];
+
+  for (const event of events) {
+    log.info(`\n${"═".repeat(80)}`);
+    log.info(`🎪 ${event.name} (${event.id})`);
+    log.info("═".repeat(80));
+
+    try {
+      config = eventConfig(event, { base, overrides, env });
+    } catch (error) {
+      if (!(error instanceof errors.ConfigError)) throw error;
+      log.error(`❌ ${error.message}`);
+      results.push({
+        event,
+        exitCode: EXIT_CODES.FAILED,
+        validation: null,
+        failed: true,
+      });
+      continue;
+    }
+    results.push({ event, ...(await runCommand(command, options)) });
+  }
+
+  printEventsSummary(results);
+
+  if (results.some((result) => result.failed)) return EXIT_CODES.FAILED;
+  const codes = results.map((result) => result.exitCode);
+  return EXIT_PRECEDENCE.find((code) => codes.includes(code));
 }
 
+module.exports = {
+  ...checker,
+  ...errors,
+  EXIT_CODES,
+  FORMATTERS,
+  generateCSV,
+  generateJSON,
+  generateMarkdown,
+  generateJUnit,
+  generateHTML,
+  loadGridConstants,
+  parseGridSlugs,
+  loadAliases,
+  buildAliasIndex,
+  runWatchCycle,
+  watchSponsors,
+  setLogLevel: log.setLevel,
+  main,
+};
+
 // Run the script
-main().catch((error) => {
-  console.error("💥 Unexpected error:", error);
-  process.exit(1);
-});
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((exitCode) => process.exit(exitCode))
+    .catch((error) => {
+      log.error("💥 Unexpected error:", error);
+      process.exit(EXIT_CODES.FAILED);
+    });
+}
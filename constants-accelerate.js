@@ -0,0 +1,6 @@
+/**
+ * GRID_SLUGS for the Accelerate event (see sponsor-events.example.json).
+ * Fill in as sponsors are confirmed, the same way as constants-grid.js.
+ */
+const GRID_SLUGS = {};
+module.exports = GRID_SLUGS;
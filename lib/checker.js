@@ -0,0 +1,990 @@
+/**
+ * Library API: fetch the Sanity sponsors, look their slugs up in the Grid and
+ * compare both with GRID_SLUGS.
+ *
+ * Nothing here reads .env, parses argv or exits the process. Settings come in
+ * through a config object, network access goes through a client whose fetch
+ * functions can be replaced (tests, fixtures), and failures are thrown as the
+ * typed errors from ./errors.js.
+ *
+ *   const { checkSponsors } = require("./lib/checker.js");
+ *   const { validation } = await checkSponsors(
+ *     { projectId, dataset, token },
+ *     { constants: GRID_SLUGS },
+ *   );
+ */
+
+const { buildSponsorQuery } = require("./groq.js");
+const { findCollisions } = require("./collisions.js");
+const { AUDIT_QUERY_FIELDS, auditProfile } = require("./completeness.js");
+const { listPendingEntries } = require("./constants-source.js");
+const { compareDomains, normalizeDomain } = require("./domains.js");
+const {
+  ConfigError,
+  GridRequestError,
+  SanityRequestError,
+  TagNotFoundError,
+} = require("./errors.js");
+const { requestJSON, sleep } = require("./http.js");
+const {
+  DEFAULT_THRESHOLD,
+  matchSponsorTitles,
+  similarity,
+} = require("./matching.js");
+const log = require("./logger.js");
+
+const DEFAULT_GRID_ENDPOINT = "https://beta.node.thegrid.id/graphql";
+const SANITY_API_VERSION = "v2025-03-04";
+
+// Breakpoint 2025, checked when no event tags are configured
+const DEFAULT_EVENT_TAG = "id1760088086-NEyjzLNeTcyFkhytuCu6RQ";
+const KNOWN_TAG_NAMES = { [DEFAULT_EVENT_TAG]: "Breakpoint 2025" };
+const TAG_ID_PATTERN = /^id\d+-/;
+
+// Sponsor tiers and the sponsorSection field each one is read from
+const TIER_FIELDS = {
+  main: "sponsors",
+  supporting: "supportingSponsors",
+};
+
+/**
+ * Fill in defaults for a config object:
+ *
+ *   projectId, dataset, token  Sanity credentials (required unless a custom
+ *                              fetchSanity is given to createClient; the
+ *                              token may be left out for published data)
+ *   perspective                published | drafts | raw (default published)
+ *   sanityApiUrl               Sanity API base URL (default
+ *                              https://<projectId>.api.sanity.io)
+ *   gridEndpoint               Grid GraphQL endpoint
+ *   eventTagRefs               event tag ids or names (default Breakpoint 2025)
+ *   pages, sections            Sanity page / sponsorSection filters
+ *   dereference                follow sponsor references (default true)
+ *   matchThreshold             minimum similarity for probable renames
+ *   requestDelay               ms between consecutive Grid requests (200)
+ *   audit                      also fetch and score profile completeness
+ *   retry                      retry/timeout overrides for lib/http.js
+ */
+function resolveConfig(config = {}) {
+  return {
+    ...config,
+    perspective: config.perspective || "published",
+    sanityApiUrl: (
+      config.sanityApiUrl || `https://${config.projectId}.api.sanity.io`
+    ).replace(/\/+$/, ""),
+    gridEndpoint: config.gridEndpoint || DEFAULT_GRID_ENDPOINT,
+    eventTagRefs:
+      config.eventTagRefs && config.eventTagRefs.length > 0
+        ? config.eventTagRefs
+        : [DEFAULT_EVENT_TAG],
+    pages: config.pages || [],
+    sections: config.sections || [],
+    dereference: config.dereference !== false,
+    matchThreshold:
+      config.matchThreshold !== undefined
+        ? config.matchThreshold
+        : DEFAULT_THRESHOLD,
+    requestDelay: config.requestDelay !== undefined ? config.requestDelay : 200,
+    audit: !!config.audit,
+  };
+}
+
+// Courtesy delay between Grid requests
+function pause(client) {
+  const ms = client.config.requestDelay;
+  return ms > 0 ? sleep(ms) : Promise.resolve();
+}
+
+// POST a query to the Grid GraphQL API (retried on transient failures)
+function defaultFetchGrid(query, variables, config) {
+  return requestJSON(config.gridEndpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "application/json",
+    },
+    body: JSON.stringify({
+      query: query,
+      variables: variables,
+    }),
+    label: "GraphQL request",
+    ...config.retry,
+  });
+}
+
+// Run a GROQ query against the Sanity API (retried on transient failures)
+function defaultFetchSanity(query, queryParams, config) {
+  const apiUrl = `${config.sanityApiUrl}/${SANITY_API_VERSION}/data/query/${config.dataset}`;
+  const params = new URLSearchParams({
+    query: query,
+    perspective: config.perspective,
+  });
+  // GROQ parameters are passed as $name=<JSON value>
+  Object.entries(queryParams).forEach(([name, value]) => {
+    params.set(`$${name}`, JSON.stringify(value));
+  });
+
+  // Without a token the query is anonymous (public datasets, published only)
+  const headers = { "Content-Type": "application/json" };
+  if (config.token) headers.Authorization = `Bearer ${config.token}`;
+
+  return requestJSON(`${apiUrl}?${params}`, {
+    method: "GET",
+    headers,
+    label: "Sanity request",
+    ...config.retry,
+  });
+}
+
+/**
+ * Bundle the config with the functions used to reach Sanity and the Grid.
+ * `fetchSanity(query, params, config)` resolves with the raw query response
+ * ({ result }), `fetchGrid(query, variables, config)` with the raw GraphQL
+ * response ({ data, errors }); both default to HTTPS requests.
+ */
+function createClient(config, { fetchSanity, fetchGrid } = {}) {
+  const resolved = resolveConfig(config);
+
+  if (!fetchSanity) {
+    const missing = ["projectId", "dataset"].filter((key) => !resolved[key]);
+    if (missing.length > 0) {
+      throw new ConfigError(`Missing Sanity config: ${missing.join(", ")}`);
+    }
+    if (!resolved.token && resolved.perspective !== "published") {
+      throw new ConfigError(
+        `Missing Sanity config: token (only published data can be read without one, not ${resolved.perspective})`,
+      );
+    }
+  }
+
+  const sanity = fetchSanity || defaultFetchSanity;
+  const grid = fetchGrid || defaultFetchGrid;
+
+  return {
+    config: resolved,
+    async fetchSanity(query, params = {}) {
+      try {
+        return await sanity(query, params, resolved);
+      } catch (error) {
+        throw new SanityRequestError(`API request failed: ${error.message}`, {
+          cause: error,
+        });
+      }
+    },
+    async fetchGrid(query, variables = {}) {
+      let result;
+      try {
+        result = await grid(query, variables, resolved);
+      } catch (error) {
+        throw new GridRequestError(`GraphQL request failed: ${error.message}`, {
+          cause: error,
+        });
+      }
+
+      // GraphQL reports query errors with a 200 status and no data
+      if (result.errors?.length > 0 && !result.data) {
+        throw new GridRequestError(
+          `GraphQL error: ${result.errors.map((error) => error.message).join("; ")}`,
+        );
+      }
+      return result;
+    },
+  };
+}
+
+// Fetch profiles in batches. A failed batch does not abort the run: its
+// slugs are returned in failedSlugs (slug -> error message) instead.
+// With config.audit the profile fields of the completeness audit are
+// fetched as well
+async function fetchGridDataBatch(client, slugs) {
+  const batchSize = 50; // Reasonable batch size to avoid query complexity limits
+  const allProfiles = [];
+  const failedSlugs = new Map();
+
+  // Process slugs in batches
+  for (let i = 0; i < slugs.length; i += batchSize) {
+    const batchNumber = Math.floor(i / batchSize) + 1;
+    const batchSlugs = slugs.slice(i, i + batchSize);
+    log.info(
+      `🔍 Fetching batch ${batchNumber}/${Math.ceil(slugs.length / batchSize)} (${batchSlugs.length} slugs)`,
+    );
+
+    const graphqlQuery = `query BatchProfiles($slugs: [String!]!) {
+      roots(where: {slug: {_in: $slugs}}) {
+        id
+        slug
+        urlMain
+        profileTags {
+          id
+          tagId
+          tag {
+            id
+            name
+          }
+        }${client.config.audit ? `\n        ${AUDIT_QUERY_FIELDS}` : ""}
+      }
+    }`;
+
+    try {
+      const result = await client.fetchGrid(graphqlQuery, {
+        slugs: batchSlugs,
+      });
+      if (result.data?.roots) {
+        allProfiles.push(...result.data.roots);
+      }
+    } catch (error) {
+      log.error(
+        `❌ Error fetching batch ${batchNumber} grid data:`,
+        error.message,
+      );
+      batchSlugs.forEach((slug) => failedSlugs.set(slug, error.message));
+    }
+
+    // Small delay between batches to be respectful
+    if (i + batchSize < slugs.length) {
+      await pause(client);
+    }
+  }
+
+  return { profiles: allProfiles, failedSlugs };
+}
+
+// Look up tags by id or by name, names ignoring case (one _ilike per name,
+// wildcards escaped). An empty list means no tag matched; a failed request
+// throws (GridRequestError) rather than looking the same
+async function getTagDetails(client, tagRefs) {
+  if (tagRefs.length === 0) return [];
+
+  const variables = { tagRefs };
+  tagRefs.forEach((ref, index) => {
+    variables[`name${index}`] = escapeLikePattern(ref);
+  });
+  const nameVars = tagRefs.map((_, index) => `$name${index}`);
+
+  const graphqlQuery = `query GetTagDetails($tagRefs: [String!]!, ${nameVars.map((name) => `${name}: String!`).join(", ")}) {
+    tags(where: {_or: [{id: {_in: $tagRefs}}, ${nameVars.map((name) => `{name: {_ilike: ${name}}}`).join(", ")}]}) {
+      id
+      name
+    }
+  }`;
+
+  const result = await client.fetchGrid(graphqlQuery, variables);
+  return result.data?.tags || [];
+}
+
+// Resolve the configured event tags (ids or names) to { id, name } pairs
+async function resolveEventTags(client, tagRefs) {
+  const tags = await getTagDetails(client, tagRefs);
+
+  return tagRefs.map((ref) => {
+    const tag =
+      tags.find((candidate) => candidate.id === ref) ||
+      tags.find((candidate) => candidate.name === ref) ||
+      tags.find(
+        (candidate) => candidate.name?.toLowerCase() === ref.toLowerCase(),
+      );
+
+    if (tag) {
+      return { id: tag.id, name: tag.name || ref };
+    }
+    if (TAG_ID_PATTERN.test(ref)) {
+      // Keep checking by id even if the name could not be fetched
+      log.info(`!  Could not fetch details for tag ${ref}`);
+      return { id: ref, name: KNOWN_TAG_NAMES[ref] || ref };
+    }
+
+    throw new TagNotFoundError(ref);
+  });
+}
+
+// Escape LIKE wildcards so user text is matched literally
+function escapeLikePattern(text) {
+  return text.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+// Website URL of a Sanity sponsor entry, whichever field it is stored in
+function getSponsorWebsite(sponsor) {
+  return sponsor.website || sponsor.url || sponsor.link || sponsor.href || null;
+}
+
+// Search Grid profiles by name/slug and (optionally) by website domain
+async function searchGridProfiles(client, name, domain) {
+  const words = name.split(/[^A-Za-z0-9]+/).filter((word) => word);
+  const variables = {
+    namePattern: `%${words.map(escapeLikePattern).join("%")}%`,
+  };
+  const conditions = [
+    "{slug: {_ilike: $namePattern}}",
+    "{profileInfos: {name: {_ilike: $namePattern}}}",
+  ];
+
+  if (domain) {
+    variables.domainPattern = `%${escapeLikePattern(domain)}%`;
+    conditions.push("{urlMain: {_ilike: $domainPattern}}");
+  }
+
+  const graphqlQuery = `query SearchProfiles($namePattern: String!${domain ? ", $domainPattern: String!" : ""}) {
+    roots(where: {_or: [${conditions.join(", ")}]}, limit: 20) {
+      id
+      slug
+      urlMain
+      profileInfos {
+        name
+      }
+    }
+  }`;
+
+  const result = await client.fetchGrid(graphqlQuery, variables);
+  return result.data?.roots || [];
+}
+
+// Rank Grid profiles as slug candidates for a sponsor title (0..1 confidence)
+function rankSlugCandidates(title, domain, profiles) {
+  return profiles
+    .map((profile) => {
+      const profileName = profile.profileInfos?.[0]?.name || null;
+      const nameScore = Math.max(
+        similarity(title, profile.slug),
+        profileName ? similarity(title, profileName) : 0,
+      );
+      const domainMatch =
+        !!domain && normalizeDomain(profile.urlMain) === domain;
+      const confidence = Math.min(1, nameScore * 0.8 + (domainMatch ? 0.4 : 0));
+
+      return {
+        slug: profile.slug,
+        id: profile.id,
+        name: profileName,
+        urlMain: profile.urlMain || null,
+        domainMatch,
+        confidence: Math.round(confidence * 100) / 100,
+      };
+    })
+    .filter((candidate) => candidate.confidence >= 0.3)
+    .sort((a, b) => b.confidence - a.confidence || a.slug.localeCompare(b.slug))
+    .slice(0, 5);
+}
+
+// Look up Grid slug candidates for every sponsor missing from the constants
+async function suggestGridSlugs(client, titles, sponsors) {
+  const suggestions = [];
+
+  for (const title of titles) {
+    const sponsor = sponsors.find((candidate) => candidate.title === title);
+    const website = sponsor ? getSponsorWebsite(sponsor) : null;
+    const domain = normalizeDomain(website);
+
+    try {
+      const profiles = await searchGridProfiles(client, title, domain);
+      suggestions.push({
+        title,
+        website,
+        candidates: rankSlugCandidates(title, domain, profiles),
+        error: null,
+      });
+    } catch (error) {
+      log.error(`❌ Error searching Grid for "${title}":`, error.message);
+      suggestions.push({
+        title,
+        website,
+        candidates: [],
+        error: error.message,
+      });
+    }
+
+    // Same courtesy delay as the batch lookups
+    if (title !== titles[titles.length - 1]) {
+      await pause(client);
+    }
+  }
+
+  return suggestions;
+}
+
+// Second pass for slugs the exact lookup missed: case-insensitive match
+// first, then partial matches on the slug's words (renamed profiles)
+async function recoverMissingSlugs(client, slugs) {
+  const corrections = new Map();
+
+  for (const slug of slugs) {
+    try {
+      const graphqlQuery = `query CaseInsensitiveSlug($slug: String!) {
+        roots(where: {slug: {_ilike: $slug}}, limit: 5) {
+          id
+          slug
+          urlMain
+        }
+      }`;
+      const result = await client.fetchGrid(graphqlQuery, {
+        slug: escapeLikePattern(slug),
+      });
+      const caseMatch = (result.data?.roots || []).find(
+        (profile) => profile.slug.toLowerCase() === slug.toLowerCase(),
+      );
+
+      if (caseMatch) {
+        corrections.set(slug, {
+          slug: caseMatch.slug,
+          id: caseMatch.id,
+          urlMain: caseMatch.urlMain || null,
+          matchType: "case",
+          confidence: 1,
+        });
+      } else {
+        const profiles = await searchGridProfiles(
+          client,
+          slug.replace(/[_-]+/g, " "),
+          null,
+        );
+        const best = profiles
+          .map((profile) => ({
+            profile,
+            score: Math.max(
+              similarity(slug, profile.slug),
+              similarity(slug, profile.profileInfos?.[0]?.name),
+            ),
+          }))
+          .filter((candidate) => candidate.score >= 0.5)
+          .sort((a, b) => b.score - a.score)[0];
+
+        if (best) {
+          corrections.set(slug, {
+            slug: best.profile.slug,
+            id: best.profile.id,
+            urlMain: best.profile.urlMain || null,
+            matchType: "partial",
+            confidence: Math.round(best.score * 100) / 100,
+          });
+        }
+      }
+    } catch (error) {
+      log.error(`❌ Error during second lookup for "${slug}":`, error.message);
+    }
+
+    if (slug !== slugs[slugs.length - 1]) {
+      await pause(client);
+    }
+  }
+
+  return corrections;
+}
+
+async function processGridProfilesWithTags(
+  profiles,
+  sponsorSlugs,
+  eventTags,
+  failedSlugs = new Map(),
+  { audit = false } = {},
+) {
+  // Collect all unique tag IDs from the nested tag data
+  const allTagIds = new Set();
+  profiles.forEach((profile) => {
+    profile.profileTags?.forEach((profileTag) => {
+      if (profileTag.tag?.id) {
+        allTagIds.add(profileTag.tag.id);
+      }
+    });
+  });
+
+  log.info(`🏷  Found ${allTagIds.size} unique tags from profiles`);
+
+  // Check if each event tag is in the data
+  eventTags.forEach((eventTag) => {
+    if (allTagIds.has(eventTag.id)) {
+      log.info(`🎯 ${eventTag.name} tag found in data!`);
+    } else {
+      log.info(
+        `!  ${eventTag.name} tag (${eventTag.id}) not found in any profile`,
+      );
+    }
+  });
+
+  const profileMap = new Map();
+
+  // Create a map of slug -> profile data
+  profiles.forEach((profile) => {
+    // tag id -> whether the profile carries it
+    const tagChecks = {};
+    eventTags.forEach((eventTag) => {
+      tagChecks[eventTag.id] =
+        profile.profileTags?.some(
+          (profileTag) => profileTag.tag?.id === eventTag.id,
+        ) || false;
+    });
+    // The first configured tag is the primary event tag
+    const hasTargetTag = tagChecks[eventTags[0].id];
+
+    // Extract tag data from nested structure
+    const enrichedTags =
+      profile.profileTags?.map((profileTag) => ({
+        id: profileTag.tag?.id || profileTag.id,
+        name: profileTag.tag?.name || "Unknown",
+      })) || [];
+
+    profileMap.set(profile.slug, {
+      exists: true,
+      id: profile.id,
+      slug: profile.slug,
+      urlMain: profile.urlMain,
+      hasTargetTag,
+      tagChecks,
+      externalTags: enrichedTags,
+      completeness: audit ? auditProfile(profile) : null,
+    });
+  });
+
+  // Return results for all requested slugs, including missing ones.
+  // Slugs from failed batches are unknown rather than missing
+  return sponsorSlugs.map((slug) => {
+    if (profileMap.has(slug)) {
+      return profileMap.get(slug);
+    }
+    if (failedSlugs.has(slug)) {
+      return {
+        exists: false,
+        lookupFailed: true,
+        error: `Lookup failed: ${failedSlugs.get(slug)}`,
+        slug: slug,
+        tagChecks: {},
+        externalTags: [],
+      };
+    }
+    return {
+      exists: false,
+      error: "Profile not found",
+      slug: slug,
+      tagChecks: {},
+      externalTags: [],
+    };
+  });
+}
+
+async function fetchSponsors(client) {
+  log.info("🔍 Fetching sponsors from Sanity API...");
+
+  const { query, params } = buildSponsorQuery({
+    pages: client.config.pages,
+    sections: client.config.sections,
+    dereference: client.config.dereference,
+  });
+  log.debug("🔎 GROQ query:", query, params);
+
+  const result = await client.fetchSanity(query, params);
+  const pages = result.result || [];
+
+  const allSponsors = [];
+  const allSupportingSponsors = [];
+  // Where each sponsor entry came from: tier, page and section
+  const placements = [];
+
+  // Extract sponsors from all pages
+  pages.forEach((page) => {
+    if (page.sponsorSections) {
+      page.sponsorSections.forEach((section) => {
+        if (section._type === "sponsorSection") {
+          if (section.sponsors) {
+            allSponsors.push(...section.sponsors);
+          }
+          if (section.supportingSponsors) {
+            allSupportingSponsors.push(...section.supportingSponsors);
+          }
+
+          Object.entries(TIER_FIELDS).forEach(([tier, field]) => {
+            (section[field] || []).forEach((sponsor) => {
+              placements.push({
+                title: sponsor.title || null,
+                tier,
+                page: page.slug || page._id || null,
+                section: section.title || section._key || null,
+                sponsor,
+              });
+            });
+          });
+        }
+      });
+    }
+  });
+
+  log.info(
+    `✅ Found ${allSponsors.length} main sponsors and ${allSupportingSponsors.length} supporting sponsors`,
+  );
+
+  return {
+    sponsors: allSponsors,
+    supportingSponsors: allSupportingSponsors,
+    combined: [...allSponsors, ...allSupportingSponsors],
+    placements,
+  };
+}
+
+async function validateSponsorsWithGrid(
+  client,
+  apiSponsors,
+  gridConstants,
+  options = {},
+) {
+  log.info(
+    "\n📊 Validating sponsors against constants grid and fetching Grid data...",
+  );
+
+  // Extract titles from API sponsors
+  const apiSponsorTitles = apiSponsors.combined
+    .map((sponsor) => sponsor.title)
+    .filter((title) => title) // Remove undefined/empty titles
+    .sort();
+
+  // title -> every tier/page/section the sponsor appears in
+  const sponsorPlacements = {};
+  apiSponsors.placements.forEach((placement) => {
+    if (!placement.title) return;
+    sponsorPlacements[placement.title] =
+      sponsorPlacements[placement.title] || [];
+    sponsorPlacements[placement.title].push({
+      tier: placement.tier,
+      page: placement.page,
+      section: placement.section,
+      sponsorId: placement.sponsor._id || null,
+      website: getSponsorWebsite(placement.sponsor),
+      logo: placement.sponsor.logo?.url || null,
+    });
+  });
+  const multiplePlacements = Object.keys(sponsorPlacements)
+    .filter((title) => sponsorPlacements[title].length > 1)
+    .sort()
+    .map((title) => ({ title, placements: sponsorPlacements[title] }));
+
+  // With --tier, only sponsors in that tier are validated
+  const tierFilter = options.tier || null;
+  const inTier = (title) =>
+    !tierFilter ||
+    (sponsorPlacements[title] || []).some(
+      (placement) => placement.tier === tierFilter,
+    );
+
+  // Extract keys from grid constants (excluding null values)
+  const gridKeys = Object.keys(gridConstants)
+    .filter((key) => gridConstants[key] !== null)
+    .sort();
+
+  // Pair titles with keys: exact and alias matches are fine, near matches
+  // become probable renames, the rest are missing (in API but not in
+  // constants) or extra (in constants but not in API)
+  const titleMatches = matchSponsorTitles(apiSponsorTitles, gridKeys, {
+    aliases: options.aliases,
+    threshold: options.matchThreshold,
+  });
+  // Null and commented-out constants entries are pending, not missing:
+  // pair them with the remaining titles to see which are Sanity sponsors
+  const pendingEntries = options.pendingEntries || [];
+  const pendingMatches = matchSponsorTitles(
+    titleMatches.missing,
+    pendingEntries.map((entry) => entry.key),
+    {
+      aliases: options.aliases,
+      threshold: options.matchThreshold,
+    },
+  );
+  const pendingTitles = new Map();
+  [...pendingMatches.matched, ...pendingMatches.probableRenames].forEach(
+    (match) => pendingTitles.set(match.key, match.title),
+  );
+  const pendingSponsorTitles = new Set(pendingTitles.values());
+
+  // Extras are still computed against every tier, so a supporting sponsor
+  // is not reported as stale when validating only the main tier
+  const missingInConstants = titleMatches.missing
+    .filter((title) => !pendingSponsorTitles.has(title))
+    .filter(inTier);
+  const extraInConstants = titleMatches.extra;
+  const probableRenames = titleMatches.probableRenames.filter((rename) =>
+    inTier(rename.title),
+  );
+  const aliasedMatches = titleMatches.matched.filter(
+    (match) => match.reason === "alias" && inTier(match.title),
+  );
+
+  // constants key -> the Sanity title it stands for
+  const keyToTitle = new Map();
+  [...titleMatches.matched, ...titleMatches.probableRenames].forEach((match) =>
+    keyToTitle.set(match.key, match.title),
+  );
+
+  // Fetch Grid data for all sponsors with slugs in batches
+  log.info("\n🔍 Checking Grid profiles via GraphQL (batch mode)...");
+
+  // Collect all valid slugs and their corresponding sponsor titles. Keys
+  // can share a slug, so every key gets its own row and each slug is only
+  // fetched once
+  const slugEntries = [];
+
+  for (const [sponsorTitle, slug] of Object.entries(gridConstants)) {
+    if (tierFilter && !inTier(keyToTitle.get(sponsorTitle))) continue;
+    if (slug && slug !== null) {
+      slugEntries.push({ sponsorTitle, slug });
+    }
+  }
+  const slugsToFetch = Array.from(
+    new Set(slugEntries.map((entry) => entry.slug)),
+  );
+
+  log.info(`📊 Found ${slugsToFetch.length} slugs to check in Grid`);
+
+  // Fetch all profiles in batches
+  const { profiles: allProfiles, failedSlugs } = await fetchGridDataBatch(
+    client,
+    slugsToFetch,
+  );
+  log.info(`✅ Retrieved ${allProfiles.length} profiles from Grid`);
+  if (failedSlugs.size > 0) {
+    log.info(`!  Lookup failed for ${failedSlugs.size} slugs`);
+  }
+
+  // Process results to match with sponsor data
+  const eventTags = options.eventTags;
+  const profileResults = await processGridProfilesWithTags(
+    allProfiles,
+    slugsToFetch,
+    eventTags,
+    failedSlugs,
+    { audit: client.config.audit },
+  );
+
+  // Retry slugs that were not found with case-insensitive / partial matching
+  const notFoundSlugs = profileResults
+    .filter((profileData) => !profileData.exists && !profileData.lookupFailed)
+    .map((profileData) => profileData.slug);
+  let slugCorrections = new Map();
+  if (notFoundSlugs.length > 0) {
+    log.info(
+      `\n🔁 Second lookup for ${notFoundSlugs.length} slugs not found in Grid...`,
+    );
+    slugCorrections = await recoverMissingSlugs(client, notFoundSlugs);
+    log.info(`✅ Found ${slugCorrections.size} probable slug corrections`);
+  }
+
+  // Look for Grid profiles that could fill in the missing constants
+  let slugSuggestions = [];
+  if (missingInConstants.length > 0) {
+    log.info(
+      `\n💡 Searching Grid for slugs of ${missingInConstants.length} missing sponsors...`,
+    );
+    slugSuggestions = await suggestGridSlugs(
+      client,
+      missingInConstants,
+      apiSponsors.combined,
+    );
+  }
+
+  let pendingSuggestions = [];
+  if (pendingEntries.length > 0) {
+    log.info(
+      `\n💡 Searching Grid for slugs of ${pendingEntries.length} pending constants entries...`,
+    );
+    pendingSuggestions = await suggestGridSlugs(
+      client,
+      pendingEntries.map((entry) => pendingTitles.get(entry.key) || entry.key),
+      apiSponsors.combined,
+    );
+  }
+  const pending = pendingEntries.map((entry, index) => ({
+    ...entry,
+    inSanity: pendingTitles.has(entry.key),
+    sanityTitle: pendingTitles.get(entry.key) || null,
+    suggestion: pendingSuggestions[index] || null,
+  }));
+
+  // Create final results array with sponsor information
+  const profilesBySlug = new Map(
+    slugsToFetch.map((slug, index) => [slug, profileResults[index]]),
+  );
+  const gridDataResults = slugEntries.map(({ sponsorTitle, slug }) => {
+    const profileData = profilesBySlug.get(slug);
+    const sanityTitle = keyToTitle.get(sponsorTitle) || null;
+    const placements = sanityTitle ? sponsorPlacements[sanityTitle] || [] : [];
+    const website =
+      placements.find((placement) => placement.website)?.website || null;
+
+    return {
+      sponsorTitle,
+      sanityTitle,
+      tiers: Array.from(new Set(placements.map((placement) => placement.tier))),
+      placements,
+      multiplePlacements: placements.length > 1,
+      slug: profileData.slug,
+      exists: profileData.exists,
+      profileId: profileData.id || null,
+      profileSlug: profileData.slug || profileData.slug,
+      urlMain: profileData.urlMain || null,
+      website,
+      // Sanity website vs Grid urlMain: catches slugs pointing at the wrong company
+      domainCheck: compareDomains(website, profileData.urlMain),
+      hasTargetTag: profileData.hasTargetTag || false,
+      tagChecks: profileData.tagChecks || {},
+      lookupFailed: profileData.lookupFailed || false,
+      externalTags: profileData.externalTags || [],
+      completeness: profileData.completeness || null,
+      correction: slugCorrections.get(profileData.slug) || null,
+      error: slugCorrections.has(profileData.slug)
+        ? "Slug mismatch"
+        : profileData.error || null,
+    };
+  });
+
+  const existingProfiles = gridDataResults.filter((result) => result.exists);
+  const slugMismatches = gridDataResults.filter((result) => result.correction);
+  const lookupFailures = gridDataResults.filter(
+    (result) => result.lookupFailed,
+  );
+  const missingProfiles = gridDataResults.filter(
+    (result) => !result.exists && !result.correction && !result.lookupFailed,
+  );
+  const targetTagSponsors = gridDataResults.filter(
+    (result) => result.hasTargetTag,
+  );
+  const domainMismatches = gridDataResults.filter(
+    (result) => result.domainCheck.status === "mismatch",
+  );
+  const incompleteProfiles = gridDataResults.filter(
+    (result) => result.completeness?.missing.length > 0,
+  );
+
+  const collisions = findCollisions({
+    entries: options.constantsEntries,
+    placements: apiSponsors.placements,
+    results: gridDataResults,
+  });
+  gridDataResults.forEach((result) => {
+    result.collisions = collisions
+      .filter(
+        (collision) =>
+          collision.keys.includes(result.sponsorTitle) ||
+          collision.titles.includes(result.sanityTitle),
+      )
+      .map((collision) => collision.message);
+  });
+
+  return {
+    checkedAt: new Date(options.now || Date.now()).toISOString(),
+    isValid:
+      missingInConstants.length === 0 &&
+      extraInConstants.length === 0 &&
+      probableRenames.length === 0 &&
+      pending.every((entry) => !entry.inSanity),
+    missingInConstants,
+    extraInConstants,
+    probableRenames,
+    aliasedMatches,
+    slugSuggestions,
+    pending,
+    apiSponsorTitles,
+    gridKeys,
+    gridDataResults,
+    existingProfiles,
+    missingProfiles,
+    slugMismatches,
+    lookupFailures,
+    domainMismatches,
+    collisions,
+    audit: client.config.audit,
+    incompleteProfiles,
+    eventTags,
+    targetTagSponsors,
+    tiers: Object.keys(TIER_FIELDS),
+    tierFilter,
+    sponsorPlacements,
+    multiplePlacements,
+  };
+}
+
+// A plain { key: slug } map, or the result of loadGridConstants /
+// parseGridSlugs (which also carries comments and commented-out entries)
+function normalizeConstants(constants) {
+  if (!constants) {
+    throw new ConfigError("No constants given");
+  }
+  if (constants.map && Array.isArray(constants.entries)) {
+    return {
+      map: constants.map,
+      entries: constants.entries,
+      pendingEntries: listPendingEntries({
+        entries: constants.entries,
+        commentedOut: constants.commentedOut || [],
+      }),
+    };
+  }
+
+  const entries = Object.entries(constants).map(([key, value]) => ({
+    key,
+    value,
+    comment: null,
+    line: null,
+  }));
+  return {
+    map: constants,
+    entries,
+    pendingEntries: listPendingEntries({ entries, commentedOut: [] }),
+  };
+}
+
+/**
+ * Run the whole check: fetch the Sanity sponsors, resolve the event tags and
+ * validate them against the constants.
+ *
+ *   options.constants     GRID_SLUGS map or parsed constants (required)
+ *   options.aliases       alias index from loadAliases / buildAliasIndex
+ *   options.tier          only validate one sponsor tier
+ *   options.fetchSanity   replacement Sanity fetch function (see createClient)
+ *   options.fetchGrid     replacement Grid fetch function
+ *   options.now           time to report as checkedAt (default: now)
+ *
+ * Resolves with { validation, apiSponsors, eventTags, config }.
+ */
+async function checkSponsors(config, options = {}) {
+  const client = createClient(config, options);
+  const constants = normalizeConstants(options.constants);
+
+  const apiSponsors = await fetchSponsors(client);
+  const eventTags = await resolveEventTags(client, client.config.eventTagRefs);
+  log.info(
+    `🏷  Checking event tags: ${eventTags.map((eventTag) => `${eventTag.name} (${eventTag.id})`).join(", ")}`,
+  );
+
+  const validation = await validateSponsorsWithGrid(
+    client,
+    apiSponsors,
+    constants.map,
+    {
+      aliases: options.aliases,
+      matchThreshold: client.config.matchThreshold,
+      eventTags,
+      tier: options.tier,
+      pendingEntries: constants.pendingEntries,
+      constantsEntries: constants.entries,
+      now: options.now,
+    },
+  );
+
+  return { validation, apiSponsors, eventTags, config: client.config };
+}
+
+module.exports = {
+  DEFAULT_GRID_ENDPOINT,
+  DEFAULT_EVENT_TAG,
+  TIER_FIELDS,
+  resolveConfig,
+  createClient,
+  defaultFetchSanity,
+  defaultFetchGrid,
+  checkSponsors,
+  fetchSponsors,
+  fetchGridDataBatch,
+  getTagDetails,
+  resolveEventTags,
+  searchGridProfiles,
+  rankSlugCandidates,
+  suggestGridSlugs,
+  recoverMissingSlugs,
+  processGridProfilesWithTags,
+  validateSponsorsWithGrid,
+  getSponsorWebsite,
+};
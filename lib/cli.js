@@ -0,0 +1,332 @@
+/**
+ * Command-line parsing and help text for check-sponsors-standalone.js.
+ */
+
+const { parseArgs } = require("util");
+const { MIN_INTERVAL_MS, parseInterval } = require("./watch.js");
+
+const COMMANDS = {
+  report: "Full report, terminal table and output file (default)",
+  check: "Validate and print a one-line summary; exit code only",
+  suggest: "List Grid slug candidates for sponsors missing from the constants",
+  diff: "Print the constants file update as a unified diff (--write applies it)",
+  triage:
+    "Go through the discrepancies one by one and save the answers to the constants file",
+  changes: "Validate and list what changed since the previous run (or --since)",
+  history: "List saved run snapshots; with --since, compare it to the latest",
+  watch: "Re-run the check on an interval and announce changes to --webhook",
+  tag: "Build Grid mutations adding the event tags to untagged profiles (--apply sends them)",
+};
+
+// Flags only some commands use; anywhere else they are a usage error
+const COMMAND_FLAGS = {
+  apply: ["tag"],
+  write: ["report", "diff"],
+  "dry-run": ["report", "triage"],
+  prune: ["report", "diff"],
+};
+
+const FORMATS = ["csv", "json", "markdown", "junit", "html"];
+const PERSPECTIVES = ["published", "drafts", "raw"];
+const TIERS = ["main", "supporting"];
+
+// Option definitions for util.parseArgs, plus help text
+const OPTIONS = {
+  config: {
+    type: "string",
+    value: "<file>",
+    description:
+      "JSON file of events to validate in one run (see sponsor-events.example.json)",
+  },
+  event: {
+    type: "string",
+    multiple: true,
+    value: "<id>",
+    description: "With --config, only run this event (repeatable)",
+  },
+  constants: {
+    type: "string",
+    value: "<path>",
+    description:
+      "constants-grid.ts/.js or a solana-com-breakpoint checkout (default ./constants-grid.js)",
+  },
+  "out-dir": {
+    type: "string",
+    value: "<dir>",
+    description: "Directory for the report file (default: current directory)",
+  },
+  out: {
+    type: "string",
+    value: "<file>",
+    description:
+      "Report filename (default sponsor-validation-YYYY-MM-DD.<format>)",
+  },
+  format: {
+    type: "string",
+    value: "<format>",
+    description: `Report file format: ${FORMATS.join(", ")} (default csv)`,
+  },
+  perspective: {
+    type: "string",
+    value: "<name>",
+    description: `Sanity perspective: ${PERSPECTIVES.join(", ")} (default SANITY_PERSPECTIVE or published)`,
+  },
+  "sanity-url": {
+    type: "string",
+    value: "<url>",
+    description:
+      "Sanity API base URL (default SANITY_API_URL or https://<projectId>.api.sanity.io)",
+  },
+  "grid-endpoint": {
+    type: "string",
+    value: "<url>",
+    description:
+      "Grid GraphQL endpoint (default GRID_GRAPHQL_ENDPOINT or https://beta.node.thegrid.id/graphql)",
+  },
+  tag: {
+    type: "string",
+    multiple: true,
+    value: "<id-or-name>",
+    description:
+      "Event tag to check (repeatable, default GRID_EVENT_TAGS or Breakpoint 2025)",
+  },
+  page: {
+    type: "string",
+    multiple: true,
+    value: "<slug-or-id>",
+    description: "Only read sponsors from this Sanity page (repeatable)",
+  },
+  section: {
+    type: "string",
+    multiple: true,
+    value: "<key-or-title>",
+    description: "Only read this sponsorSection (repeatable)",
+  },
+  "no-dereference": {
+    type: "boolean",
+    description: "Read sponsor fields inline instead of following references",
+  },
+  tier: {
+    type: "string",
+    value: "<tier>",
+    description: `Only validate one sponsor tier: ${TIERS.join(", ")}`,
+  },
+  audit: {
+    type: "boolean",
+    description:
+      "Also check Grid profiles for the fields the sponsor modal shows (logo, descriptions, products...)",
+  },
+  aliases: {
+    type: "string",
+    value: "<path>",
+    description: "JSON alias map (default ./sponsor-aliases.json)",
+  },
+  "match-threshold": {
+    type: "string",
+    value: "<0-1>",
+    description: "Minimum similarity for probable renames (default 0.8)",
+  },
+  "history-dir": {
+    type: "string",
+    value: "<dir>",
+    description: "Where run snapshots are kept (default ./.sponsor-history)",
+  },
+  since: {
+    type: "string",
+    value: "<snapshot>",
+    description: "Snapshot id or file to compare with (default: previous run)",
+  },
+  "no-history": {
+    type: "boolean",
+    description: "Don't save a snapshot of this run",
+  },
+  record: {
+    type: "string",
+    value: "<dir>",
+    description: "Save the raw Sanity/Grid responses to a fixtures directory",
+  },
+  replay: {
+    type: "string",
+    value: "<dir>",
+    description: "Answer requests from a recording instead (offline)",
+  },
+  interval: {
+    type: "string",
+    value: "<duration>",
+    description: "watch: time between runs, e.g. 90s, 15m, 1h (default 15m)",
+  },
+  webhook: {
+    type: "string",
+    value: "<url>",
+    description:
+      "watch: Slack-compatible webhook for new/resolved issues (default SPONSOR_WEBHOOK_URL)",
+  },
+  "watch-state": {
+    type: "string",
+    value: "<file>",
+    description:
+      "watch: where announced issues are kept (default ./.sponsor-watch.json)",
+  },
+  apply: {
+    type: "boolean",
+    description: "tag: send the mutations instead of writing a batch file",
+  },
+  "mutation-endpoint": {
+    type: "string",
+    value: "<url>",
+    description:
+      "tag: GraphQL endpoint for --apply (default GRID_MUTATION_ENDPOINT or the Grid endpoint)",
+  },
+  write: {
+    type: "boolean",
+    description: "Update the constants file with the fixes the report found",
+  },
+  "dry-run": {
+    type: "boolean",
+    description: "Print the constants update as a diff instead of writing",
+  },
+  prune: {
+    type: "boolean",
+    description: "Remove stale keys instead of flagging them with a comment",
+  },
+  quiet: {
+    type: "boolean",
+    short: "q",
+    description: "Only print errors and the final result",
+  },
+  verbose: {
+    type: "boolean",
+    short: "v",
+    description: "Print extra detail (requests, retries)",
+  },
+  help: {
+    type: "boolean",
+    short: "h",
+    description: "Show this help",
+  },
+};
+
+// Raised for invalid command lines; the message is meant for the user
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+function formatHelp() {
+  const commandLines = Object.entries(COMMANDS).map(
+    ([name, description]) => `  ${name.padEnd(10)}${description}`,
+  );
+  const optionLines = Object.entries(OPTIONS).map(([name, option]) => {
+    const flag = `${option.short ? `-${option.short}, ` : "    "}--${name}${option.value ? ` ${option.value}` : ""}`;
+    return `  ${flag.padEnd(34)}${option.description}`;
+  });
+
+  return [
+    "Usage: node check-sponsors-standalone.js [command] [options]",
+    "",
+    "Commands:",
+    ...commandLines,
+    "",
+    "Options:",
+    ...optionLines,
+    "",
+  ].join("\n");
+}
+
+/**
+ * Parse argv (without node and script path) into { command, options }.
+ * Throws UsageError for unknown commands, flags or invalid values.
+ */
+function parseCliArgs(argv) {
+  const parseOptions = {};
+  Object.entries(OPTIONS).forEach(([name, option]) => {
+    parseOptions[name] = { type: option.type };
+    if (option.short) parseOptions[name].short = option.short;
+    if (option.multiple) parseOptions[name].multiple = true;
+  });
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: parseOptions,
+      allowPositionals: true,
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const command = positionals[0] || "report";
+
+  if (!values.help) {
+    if (!COMMANDS[command]) {
+      throw new UsageError(`Unknown command "${command}"`);
+    }
+    if (positionals.length > 1) {
+      throw new UsageError(`Unexpected argument "${positionals[1]}"`);
+    }
+  }
+  if (values.format && !FORMATS.includes(values.format)) {
+    throw new UsageError(
+      `Unknown format "${values.format}" (expected ${FORMATS.join(", ")})`,
+    );
+  }
+  if (values.perspective && !PERSPECTIVES.includes(values.perspective)) {
+    throw new UsageError(
+      `Unknown perspective "${values.perspective}" (expected ${PERSPECTIVES.join(", ")})`,
+    );
+  }
+  if (values.tier && !TIERS.includes(values.tier)) {
+    throw new UsageError(
+      `Unknown tier "${values.tier}" (expected ${TIERS.join(", ")})`,
+    );
+  }
+  if (values["match-threshold"] !== undefined) {
+    const threshold = Number(values["match-threshold"]);
+    if (Number.isNaN(threshold) || threshold < 0 || threshold > 1) {
+      throw new UsageError("--match-threshold must be a number from 0 to 1");
+    }
+  }
+  if (values.interval !== undefined) {
+    const interval = parseInterval(values.interval);
+    if (interval === null || interval < MIN_INTERVAL_MS) {
+      throw new UsageError(
+        `--interval must be a duration of at least ${MIN_INTERVAL_MS / 1000}s (e.g. 90s, 15m, 1h)`,
+      );
+    }
+  }
+  Object.entries(COMMAND_FLAGS).forEach(([flag, commands]) => {
+    if (values[flag] && !commands.includes(command)) {
+      throw new UsageError(
+        `--${flag} is only used by the ${commands.join(" and ")} command${commands.length > 1 ? "s" : ""}`,
+      );
+    }
+  });
+  if (values.config && (command === "watch" || command === "history")) {
+    throw new UsageError(`--config cannot be used with the ${command} command`);
+  }
+  if (values.event && !values.config) {
+    throw new UsageError("--event needs a --config file");
+  }
+  if (values.record && values.replay) {
+    throw new UsageError("--record and --replay cannot be combined");
+  }
+  if (values.quiet && values.verbose) {
+    throw new UsageError("--quiet and --verbose cannot be combined");
+  }
+
+  return { command, options: values };
+}
+
+module.exports = {
+  COMMANDS,
+  FORMATS,
+  PERSPECTIVES,
+  TIERS,
+  UsageError,
+  formatHelp,
+  parseCliArgs,
+};
@@ -0,0 +1,124 @@
+/**
+ * Consistency checks across the constants, Sanity and Grid: duplicate keys,
+ * keys sharing a slug, slugs that only differ in case, Sanity titles
+ * spelled differently for one sponsor and constants entries resolving to
+ * the same Grid profile.
+ *
+ * Every finding is { type, message, keys, titles }, so reports can list them
+ * together and attach them to the rows they concern.
+ */
+
+const { normalizeName } = require("./matching.js");
+
+// Group items by a key function, keeping only groups with 2+ items
+function groupDuplicates(items, keyOf) {
+  const groups = new Map();
+  items.forEach((item) => {
+    const key = keyOf(item);
+    if (key === null || key === undefined || key === "") return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return Array.from(groups.values()).filter((group) => group.length > 1);
+}
+
+const quoteList = (values) => values.map((value) => `"${value}"`).join(", ");
+
+/**
+ *   entries     parsed GRID_SLUGS entries ({ key, value, line })
+ *   placements  Sanity sponsor placements ({ title, tier, page, section })
+ *   results     gridDataResults rows (profile ids after the Grid lookup)
+ */
+function findCollisions({ entries = [], placements = [], results = [] }) {
+  const collisions = [];
+
+  // The same key written twice: only the last one survives in JS
+  groupDuplicates(entries, (entry) => entry.key).forEach((group) => {
+    collisions.push({
+      type: "duplicate_key",
+      message: `Key "${group[0].key}" is defined ${group.length} times (lines ${group.map((entry) => entry.line).join(", ")})`,
+      keys: [group[0].key],
+      titles: [],
+    });
+  });
+
+  const withSlugs = entries.filter((entry) => entry.value);
+
+  groupDuplicates(withSlugs, (entry) => entry.value).forEach((group) => {
+    const keys = Array.from(new Set(group.map((entry) => entry.key)));
+    if (keys.length < 2) return;
+    collisions.push({
+      type: "shared_slug",
+      message: `Keys ${quoteList(keys)} share the slug "${group[0].value}"`,
+      keys,
+      titles: [],
+    });
+  });
+
+  groupDuplicates(withSlugs, (entry) => entry.value.toLowerCase()).forEach(
+    (group) => {
+      const slugs = Array.from(new Set(group.map((entry) => entry.value)));
+      if (slugs.length < 2) return;
+      collisions.push({
+        type: "case_collision",
+        message: `Slugs ${quoteList(slugs)} only differ in case (keys ${quoteList(group.map((entry) => entry.key))})`,
+        keys: group.map((entry) => entry.key),
+        titles: [],
+      });
+    },
+  );
+
+  // One sponsor entered under different spellings (same name ignoring case
+  // and punctuation), wherever they appear. Repeats of the same spelling
+  // are legitimate placements in several tiers or sections (reported as
+  // multiple placements)
+  groupDuplicates(placements, (placement) =>
+    normalizeName(placement.title),
+  ).forEach((group) => {
+    const titles = Array.from(
+      new Set(group.map((placement) => placement.title)),
+    );
+    if (titles.length < 2) return;
+    const where = Array.from(
+      new Set(
+        group.map(
+          (placement) =>
+            `"${placement.title}" in ${[placement.tier, placement.page, placement.section].filter((part) => part).join("/")}`,
+        ),
+      ),
+    ).join(", ");
+    collisions.push({
+      type: "duplicate_title",
+      message: `Sanity spells one sponsor ${titles.length} ways (${where})`,
+      keys: [],
+      titles,
+    });
+  });
+
+  // Different keys ending up at one Grid profile (directly or via a correction)
+  groupDuplicates(
+    results,
+    (result) =>
+      (result.exists ? result.profileId : result.correction?.id) || null,
+  ).forEach((group) => {
+    const keys = Array.from(
+      new Set(group.map((result) => result.sponsorTitle)),
+    );
+    const slugs = new Set(group.map((result) => result.slug));
+    // Keys sharing one slug are already reported as shared_slug
+    if (keys.length < 2 || slugs.size < 2) return;
+    const profileId = group[0].exists
+      ? group[0].profileId
+      : group[0].correction.id;
+    collisions.push({
+      type: "shared_profile",
+      message: `Keys ${quoteList(keys)} resolve to the same Grid profile (${profileId})`,
+      keys,
+      titles: [],
+    });
+  });
+
+  return collisions;
+}
+
+module.exports = { findCollisions };
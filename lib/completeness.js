@@ -0,0 +1,69 @@
+/**
+ * Profile completeness audit (--audit): the Grid fields the sponsor modal
+ * shows, and a score for how many of them a profile has filled in.
+ */
+
+// Extra fields requested in the batch lookup when auditing
+const AUDIT_QUERY_FIELDS = `profileInfos {
+          name
+          logo
+          descriptionShort
+          descriptionLong
+        }
+        products {
+          id
+          name
+        }
+        socials {
+          id
+        }`;
+
+const filled = (value) =>
+  value !== null && value !== undefined && String(value).trim() !== "";
+
+// Fields the sponsor modal relies on, in the order they are reported
+const PROFILE_FIELDS = [
+  {
+    name: "name",
+    isFilled: (profile) => filled(profile.profileInfos?.[0]?.name),
+  },
+  {
+    name: "logo",
+    isFilled: (profile) => filled(profile.profileInfos?.[0]?.logo),
+  },
+  {
+    name: "descriptionShort",
+    isFilled: (profile) => filled(profile.profileInfos?.[0]?.descriptionShort),
+  },
+  {
+    name: "descriptionLong",
+    isFilled: (profile) => filled(profile.profileInfos?.[0]?.descriptionLong),
+  },
+  { name: "urlMain", isFilled: (profile) => filled(profile.urlMain) },
+  { name: "products", isFilled: (profile) => profile.products?.length > 0 },
+  { name: "socials", isFilled: (profile) => profile.socials?.length > 0 },
+];
+
+/**
+ * Completeness of a Grid profile fetched with AUDIT_QUERY_FIELDS:
+ * { score (0-100), present: [field], missing: [field] }.
+ */
+function auditProfile(profile) {
+  const present = [];
+  const missing = [];
+  PROFILE_FIELDS.forEach((field) =>
+    (field.isFilled(profile) ? present : missing).push(field.name),
+  );
+
+  return {
+    score: Math.round((present.length / PROFILE_FIELDS.length) * 100),
+    present,
+    missing,
+  };
+}
+
+module.exports = {
+  AUDIT_QUERY_FIELDS,
+  PROFILE_FIELDS,
+  auditProfile,
+};
@@ -0,0 +1,562 @@
+/**
+ * Reads the GRID_SLUGS object literal straight from source, so the upstream
+ * constants-grid.ts (or a local checkout of solana-com-breakpoint) can be used
+ * without copying it into constants-grid.js first.
+ *
+ * The source is never evaluated: the object literal is tokenized and only
+ * string / null values are accepted.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Location of the constants file inside a solana-com-breakpoint checkout
+const UPSTREAM_CONSTANTS_PATH = path.join(
+  "components",
+  "SponsorModal",
+  "constants-grid.ts",
+);
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// Turn a directory (repo checkout) or file path into the constants file path
+function resolveConstantsPath(inputPath) {
+  const resolved = path.resolve(inputPath);
+
+  let stats;
+  try {
+    stats = fs.statSync(resolved);
+  } catch (error) {
+    throw new Error(`Constants path not found: ${resolved}`);
+  }
+
+  if (!stats.isDirectory()) {
+    return resolved;
+  }
+
+  const candidates = [
+    path.join(resolved, UPSTREAM_CONSTANTS_PATH),
+    path.join(resolved, "constants-grid.ts"),
+    path.join(resolved, "constants-grid.js"),
+  ];
+  const match = candidates.find((candidate) => fs.existsSync(candidate));
+  if (!match) {
+    throw new Error(
+      `No constants-grid file found in ${resolved} (looked for ${UPSTREAM_CONSTANTS_PATH})`,
+    );
+  }
+  return match;
+}
+
+// Decode the body of a quoted JS string literal (without the quotes)
+function decodeString(body) {
+  return body.replace(
+    /\\(u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|\r\n|[\s\S])/g,
+    (match, escape) => {
+      if (escape[0] === "u" || escape[0] === "x") {
+        const hex = escape.replace(/^[ux]\{?|\}$/g, "");
+        return String.fromCodePoint(parseInt(hex, 16));
+      }
+      switch (escape) {
+        case "n":
+          return "\n";
+        case "t":
+          return "\t";
+        case "r":
+          return "\r";
+        case "b":
+          return "\b";
+        case "f":
+          return "\f";
+        case "v":
+          return "\v";
+        case "0":
+          return "\0";
+        case "\n":
+        case "\r\n":
+          return "";
+        default:
+          return escape;
+      }
+    },
+  );
+}
+
+function lineAt(source, index) {
+  let line = 1;
+  for (let i = 0; i < index; i++) {
+    if (source[i] === "\n") line++;
+  }
+  return line;
+}
+
+// Minimal tokenizer for the subset of JS/TS used by the constants file
+function tokenize(source, start) {
+  const tokens = [];
+  let i = start;
+  let depth = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === "/" && source[i + 1] === "/") {
+      const endOfLine = source.indexOf("\n", i);
+      const end = endOfLine === -1 ? source.length : endOfLine;
+      tokens.push({
+        type: "comment",
+        text: source.slice(i + 2, end).trim(),
+        start: i,
+        end,
+      });
+      i = end;
+      continue;
+    }
+
+    if (char === "/" && source[i + 1] === "*") {
+      const close = source.indexOf("*/", i + 2);
+      if (close === -1) {
+        throw new Error(
+          `Unterminated block comment on line ${lineAt(source, i)}`,
+        );
+      }
+      tokens.push({
+        type: "comment",
+        text: source
+          .slice(i + 2, close)
+          .replace(/^\s*\*?/gm, "")
+          .trim(),
+        start: i,
+        end: close + 2,
+        block: true,
+      });
+      i = close + 2;
+      continue;
+    }
+
+    if (char === '"' || char === "'" || char === "`") {
+      let j = i + 1;
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === "\\") j++;
+        if (char !== "`" && source[j] === "\n") break;
+        j++;
+      }
+      if (source[j] !== char) {
+        throw new Error(`Unterminated string on line ${lineAt(source, i)}`);
+      }
+      const body = source.slice(i + 1, j);
+      if (char === "`" && body.includes("${")) {
+        throw new Error(
+          `Template literal interpolation is not supported (line ${lineAt(source, i)})`,
+        );
+      }
+      tokens.push({
+        type: "string",
+        value: decodeString(body),
+        quote: char,
+        start: i,
+        end: j + 1,
+      });
+      i = j + 1;
+      continue;
+    }
+
+    const word = /^[A-Za-z0-9_$.]+/.exec(source.slice(i, i + 256));
+    if (word) {
+      tokens.push({
+        type: "word",
+        value: word[0],
+        start: i,
+        end: i + word[0].length,
+      });
+      i += word[0].length;
+      continue;
+    }
+
+    tokens.push({ type: "punct", value: char, start: i, end: i + 1 });
+    i++;
+
+    if (char === "{") depth++;
+    if (char === "}") {
+      depth--;
+      if (depth === 0) break;
+    }
+  }
+
+  return tokens;
+}
+
+// `Phantom: "Phantom", // note` inside a line comment (the entry was
+// commented out); returns null for comments that are not entries
+const COMMENTED_ENTRY =
+  /^(?:([A-Za-z_$][\w$]*)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)')\s*:\s*(?:null|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)')\s*,?\s*(?:\/\/\s*(.*))?$/;
+
+function parseCommentedEntry(text) {
+  const match = COMMENTED_ENTRY.exec(text);
+  if (!match) return null;
+
+  const [, identifier, doubleKey, singleKey, doubleValue, singleValue, note] =
+    match;
+  const key =
+    identifier !== undefined
+      ? identifier
+      : decodeString(doubleKey !== undefined ? doubleKey : singleKey);
+  const rawValue = doubleValue !== undefined ? doubleValue : singleValue;
+
+  return {
+    key,
+    value: rawValue !== undefined ? decodeString(rawValue) : null,
+    note: note ? note.trim() : null,
+  };
+}
+
+/**
+ * Parse the GRID_SLUGS object literal out of a JS/TS source string.
+ * Returns the slug map plus one entry per key with its source position and
+ * trailing comment, so callers can report on (or rewrite) the original text.
+ * Line comments that look like entries (`// Phantom: "Phantom",`) are
+ * returned separately in `commentedOut`.
+ */
+function parseGridSlugs(source, variableName = "GRID_SLUGS") {
+  const declaration = new RegExp(
+    `\\b(?:const|let|var)\\s+${variableName}\\b[^=]*=\\s*\\{`,
+  ).exec(source);
+  if (!declaration) {
+    throw new Error(`Could not find a "${variableName} = {" declaration`);
+  }
+
+  const open = declaration.index + declaration[0].length - 1;
+  const tokens = tokenize(source, open);
+  const close = tokens[tokens.length - 1];
+  if (!close || close.value !== "}") {
+    throw new Error(`Unterminated ${variableName} object literal`);
+  }
+
+  const entries = [];
+  const commentedOut = [];
+  const map = {};
+  // Skip the opening brace and stop before the closing one
+  let i = 1;
+  const body = tokens.slice(0, -1);
+
+  while (i < body.length) {
+    const token = body[i];
+
+    if (token.type === "comment" && !token.block) {
+      const entry = parseCommentedEntry(token.text);
+      if (entry) {
+        commentedOut.push({
+          ...entry,
+          line: lineAt(source, token.start),
+          start: token.start,
+          end: token.end,
+        });
+      }
+    }
+    if (token.type === "comment" || token.value === ",") {
+      i++;
+      continue;
+    }
+
+    const keyToken = token;
+    const colon = body[i + 1];
+    const valueToken = body[i + 2];
+    const isKey =
+      keyToken.type === "string" ||
+      (keyToken.type === "word" && IDENTIFIER.test(keyToken.value)) ||
+      (keyToken.type === "word" && /^\d+$/.test(keyToken.value));
+
+    if (!isKey || !colon || colon.value !== ":" || !valueToken) {
+      throw new Error(
+        `Unexpected "${source.slice(keyToken.start, keyToken.end)}" in ${variableName} on line ${lineAt(source, keyToken.start)}`,
+      );
+    }
+
+    let value;
+    if (valueToken.type === "string") {
+      value = valueToken.value;
+    } else if (valueToken.type === "word" && valueToken.value === "null") {
+      value = null;
+    } else {
+      throw new Error(
+        `Only string or null values are supported in ${variableName} (line ${lineAt(source, valueToken.start)})`,
+      );
+    }
+
+    let end = valueToken.end;
+    let next = i + 3;
+    if (body[next] && body[next].value === ",") {
+      end = body[next].end;
+      next++;
+    }
+
+    // A line comment on the same line as the entry belongs to it
+    let comment = null;
+    const trailing = body[next];
+    if (
+      trailing &&
+      trailing.type === "comment" &&
+      !source.slice(end, trailing.start).includes("\n")
+    ) {
+      comment = trailing.text;
+      end = trailing.end;
+      next++;
+    }
+
+    const key = keyToken.value;
+    const entry = {
+      key,
+      value,
+      comment,
+      line: lineAt(source, keyToken.start),
+      start: keyToken.start,
+      end,
+      keyStart: keyToken.start,
+      keyEnd: keyToken.end,
+      valueStart: valueToken.start,
+      valueEnd: valueToken.end,
+    };
+    entries.push(entry);
+    map[key] = value;
+    i = next;
+  }
+
+  return {
+    map,
+    entries,
+    commentedOut,
+    start: open,
+    end: close.end,
+  };
+}
+
+// Render a key the way it would be written by hand (quoted only if needed)
+function formatKey(key) {
+  return IDENTIFIER.test(key) ? key : JSON.stringify(key);
+}
+
+function formatValue(value) {
+  return value === null ? "null" : JSON.stringify(value);
+}
+
+function lineStartOf(source, index) {
+  return source.lastIndexOf("\n", index - 1) + 1;
+}
+
+/**
+ * Apply changes to the GRID_SLUGS literal while leaving everything else in
+ * the source untouched (ordering, inline comments, commented-out entries).
+ *
+ *   add:    [{ key, value, comment }] appended before the closing brace
+ *   flag:   [{ key, note }]           note appended to the entry's comment
+ *   update: [{ key, value }]          value replaced, key and comment kept
+ *   rename: [{ from, to }]            key replaced, value and comment kept
+ *   remove: [key]                     entry (and its line) removed
+ */
+function rewriteGridSlugs(constants, changes = {}) {
+  const { source, entries } = constants;
+  const {
+    add = [],
+    flag = [],
+    update = [],
+    rename = [],
+    remove = [],
+  } = changes;
+  const existingKeys = new Set(entries.map((entry) => entry.key));
+  const edits = [];
+
+  remove.forEach((key) => {
+    const entry = entries.find((candidate) => candidate.key === key);
+    if (!entry) return;
+
+    const lineStart = lineStartOf(source, entry.start);
+    const newline = source.indexOf("\n", entry.end);
+    const ownsLine =
+      source.slice(lineStart, entry.start).trim() === "" &&
+      (newline === -1 || source.slice(entry.end, newline).trim() === "");
+
+    if (ownsLine) {
+      edits.push({
+        start: lineStart,
+        end: newline === -1 ? source.length : newline + 1,
+        text: "",
+      });
+    } else {
+      edits.push({ start: entry.start, end: entry.end, text: "" });
+    }
+  });
+
+  update.forEach(({ key, value }) => {
+    const entry = entries.find((candidate) => candidate.key === key);
+    if (!entry || remove.includes(key)) return;
+
+    // Keep the quote style already used for this value
+    const quote = source[entry.valueStart];
+    const text =
+      value !== null && (quote === "'" || quote === "`")
+        ? `${quote}${value.replace(/\\/g, "\\\\").replace(new RegExp(quote, "g"), `\\${quote}`)}${quote}`
+        : formatValue(value);
+    edits.push({ start: entry.valueStart, end: entry.valueEnd, text });
+  });
+
+  const renamedTo = new Set();
+  rename.forEach(({ from, to }) => {
+    const entry = entries.find((candidate) => candidate.key === from);
+    if (
+      !entry ||
+      remove.includes(from) ||
+      existingKeys.has(to) ||
+      renamedTo.has(to)
+    ) {
+      return;
+    }
+
+    renamedTo.add(to);
+    edits.push({
+      start: entry.keyStart,
+      end: entry.keyEnd,
+      text: formatKey(to),
+    });
+  });
+
+  flag.forEach(({ key, note }) => {
+    const entry = entries.find((candidate) => candidate.key === key);
+    if (!entry || remove.includes(key)) return;
+    if (entry.comment && entry.comment.includes(note)) return;
+
+    if (entry.comment) {
+      // Keep the original comment text and spacing, only extend it
+      edits.push({ start: entry.end, end: entry.end, text: ` - ${note}` });
+      return;
+    }
+    // Whatever follows on the line (the closing brace, another entry) moves
+    // to the next one, so the comment doesn't swallow it
+    const newline = source.indexOf("\n", entry.end);
+    const rest = source.slice(entry.end, newline === -1 ? undefined : newline);
+    edits.push({
+      start: entry.end,
+      end: entry.end,
+      text: rest.trim() === "" ? ` // ${note}` : ` // ${note}\n`,
+    });
+  });
+
+  // Each new key once, and only if it is not in the file yet (nor a key
+  // being renamed to)
+  const additions = add.filter(
+    (item, index) =>
+      !existingKeys.has(item.key) &&
+      !renamedTo.has(item.key) &&
+      add.findIndex((other) => other.key === item.key) === index,
+  );
+  if (additions.length > 0) {
+    const closeBrace = constants.end - 1;
+    // Removed entries don't count: an edit inside their range would be lost
+    const kept = entries.filter((entry) => !remove.includes(entry.key));
+    const lastEntry = kept[kept.length - 1];
+    const indentMatch = lastEntry
+      ? /^[ \t]*/.exec(source.slice(lineStartOf(source, lastEntry.start)))
+      : null;
+    const indent = indentMatch ? indentMatch[0] : "  ";
+
+    // The current last entry needs a trailing comma before anything follows
+    if (
+      lastEntry &&
+      source[lastEntry.valueEnd] !== "," &&
+      !source.slice(lastEntry.valueEnd, lastEntry.end).trim().startsWith(",")
+    ) {
+      edits.push({
+        start: lastEntry.valueEnd,
+        end: lastEntry.valueEnd,
+        text: ",",
+      });
+    }
+
+    const lines = additions.map(
+      ({ key, value, comment }) =>
+        `${indent}${formatKey(key)}: ${formatValue(value)},${comment ? ` // ${comment}` : ""}\n`,
+    );
+    const braceLineStart = lineStartOf(source, closeBrace);
+    const braceOnOwnLine =
+      source.slice(braceLineStart, closeBrace).trim() === "";
+    edits.push(
+      braceOnOwnLine
+        ? { start: braceLineStart, end: braceLineStart, text: lines.join("") }
+        : { start: closeBrace, end: closeBrace, text: `\n${lines.join("")}` },
+    );
+  }
+
+  // Apply from the end so earlier offsets stay valid
+  return edits
+    .sort((a, b) => b.start - a.start || b.end - a.end)
+    .reduce(
+      (text, edit) =>
+        text.slice(0, edit.start) + edit.text + text.slice(edit.end),
+      source,
+    );
+}
+
+/**
+ * Entries still waiting for a slug: `null` values (with their inline
+ * comment as the note) and commented-out entries.
+ */
+function listPendingEntries(constants) {
+  return [
+    ...constants.entries
+      .filter((entry) => entry.value === null)
+      .map((entry) => ({
+        key: entry.key,
+        state: "null",
+        value: null,
+        note: entry.comment,
+        line: entry.line,
+      })),
+    ...constants.commentedOut.map((entry) => ({
+      key: entry.key,
+      state: "commented_out",
+      value: entry.value,
+      note: entry.note,
+      line: entry.line,
+    })),
+  ].sort((a, b) => a.line - b.line);
+}
+
+// Read and parse a constants source file (or repo checkout directory)
+function loadGridConstants(inputPath) {
+  const filePath = resolveConstantsPath(inputPath);
+  const source = fs.readFileSync(filePath, "utf8");
+
+  let parsed;
+  try {
+    parsed = parseGridSlugs(source);
+  } catch (error) {
+    throw new Error(`Failed to parse ${filePath}: ${error.message}`);
+  }
+
+  // Path to show in diffs: relative to the checkout when given a directory
+  const baseDir = fs.statSync(inputPath).isDirectory()
+    ? path.resolve(inputPath)
+    : process.cwd();
+  const relativePath = path.relative(baseDir, filePath);
+
+  return {
+    path: filePath,
+    relativePath: relativePath.startsWith("..")
+      ? path.basename(filePath)
+      : relativePath,
+    source,
+    ...parsed,
+  };
+}
+
+module.exports = {
+  UPSTREAM_CONSTANTS_PATH,
+  resolveConstantsPath,
+  parseGridSlugs,
+  loadGridConstants,
+  listPendingEntries,
+  rewriteGridSlugs,
+};
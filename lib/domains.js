@@ -0,0 +1,79 @@
+/**
+ * Website / domain helpers shared by the slug suggestions and URL checks.
+ */
+
+// "https://www.Example.com/path?q=1" -> "example.com" (null when not a URL)
+function normalizeDomain(url) {
+  if (!url || typeof url !== "string") return null;
+
+  const trimmed = url.trim();
+  if (!trimmed) return null;
+
+  try {
+    const withProtocol = /^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed)
+      ? trimmed
+      : `https://${trimmed}`;
+    const hostname = new URL(withProtocol).hostname.toLowerCase();
+    const domain = hostname.replace(/^www\d*\./, "").replace(/\.$/, "");
+    return domain.includes(".") ? domain : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Second-level labels under which registrations happen one level deeper
+// ("example.co.uk"), for the country domains sponsors commonly use
+const MULTI_PART_SUFFIXES = new Set([
+  "co.uk",
+  "org.uk",
+  "ac.uk",
+  "com.au",
+  "net.au",
+  "org.au",
+  "co.jp",
+  "co.kr",
+  "co.nz",
+  "co.in",
+  "com.br",
+  "com.cn",
+  "com.hk",
+  "com.sg",
+  "com.tr",
+  "com.mx",
+  "co.za",
+]);
+
+// "https://app.docs.example.co.uk/x" -> "example.co.uk"
+function registrableDomain(url) {
+  const domain = normalizeDomain(url);
+  if (!domain) return null;
+
+  // IP addresses have no subdomains to strip
+  if (/^[\d.]+$/.test(domain)) return domain;
+
+  const labels = domain.split(".");
+  const suffixLength = MULTI_PART_SUFFIXES.has(labels.slice(-2).join("."))
+    ? 3
+    : 2;
+  return labels.slice(-suffixLength).join(".");
+}
+
+/**
+ * Compare a sponsor website with a Grid profile's urlMain by registrable
+ * domain: "match", "mismatch", or "unknown" when either side is missing.
+ */
+function compareDomains(website, urlMain) {
+  const sponsorDomain = registrableDomain(website);
+  const gridDomain = registrableDomain(urlMain);
+
+  if (!sponsorDomain || !gridDomain) {
+    return { status: "unknown", sponsorDomain, gridDomain };
+  }
+  return {
+    status: sponsorDomain === gridDomain ? "match" : "mismatch",
+    sponsorDomain,
+    gridDomain,
+  };
+}
+
+module.exports = { normalizeDomain, registrableDomain, compareDomains };
@@ -0,0 +1,131 @@
+/**
+ * Environment settings for the CLI, in order of precedence:
+ *
+ *   process.env   (command-line flags override all of these)
+ *   .env.local    local overrides, not committed
+ *   .env          shared defaults
+ *
+ * Both files are optional. They use dotenv syntax: `KEY=value`, optional
+ * `export ` prefix, '#' comments, single, double or backtick quotes
+ * (double quotes expand \n, and quoted values may span lines).
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ENV_FILES = [".env", ".env.local"];
+
+// Variables the CLI reads (see .env.example)
+const CONFIG_VARS = [
+  "NEXT_PUBLIC_SANITY_PROJECT_ID",
+  "NEXT_PUBLIC_SANITY_DATASET",
+  "SANITY_API_READ_TOKEN",
+  "SANITY_PERSPECTIVE",
+  "SANITY_API_URL",
+  "GRID_GRAPHQL_ENDPOINT",
+  "GRID_EVENT_TAGS",
+  "GRID_PROFILE_URL",
+  "GRID_MUTATION_ENDPOINT",
+  "GRID_API_TOKEN",
+  "SPONSOR_WEBHOOK_URL",
+];
+
+// Variables whose values are never logged in full
+const SECRET_PATTERN = /TOKEN|SECRET|PASSWORD|WEBHOOK|(^|_)KEY$/i;
+
+const LINE =
+  /^[ \t]*(?:export[ \t]+)?([A-Za-z_][\w.-]*)[ \t]*=[ \t]*('(?:\\'|[^'])*'|"(?:\\"|[^"])*"|`(?:\\`|[^`])*`|[^#\r\n]*)[ \t]*(?:#.*)?$/gm;
+
+// Parse dotenv text into an object; lines that don't match are ignored
+function parseDotenv(text) {
+  const values = {};
+  const source = text.replace(/\r\n?/g, "\n");
+
+  for (const [, key, raw] of source.matchAll(LINE)) {
+    let value = raw.trim();
+    const quote = value[0];
+
+    if (
+      (quote === '"' || quote === "'" || quote === "`") &&
+      value.endsWith(quote) &&
+      value.length > 1
+    ) {
+      value = value.slice(1, -1);
+      if (quote === '"') {
+        value = value
+          .replace(/\\n/g, "\n")
+          .replace(/\\r/g, "\r")
+          .replace(/\\t/g, "\t")
+          .replace(/\\(["\\])/g, "$1");
+      }
+    }
+
+    values[key] = value;
+  }
+
+  return values;
+}
+
+/**
+ * Read .env and .env.local from `dir` and merge them with `env` (default
+ * process.env). Returns { values, sources, files }: `sources` names
+ * where each key came from, `files` the files that were found. Throws when
+ * a file exists but can't be read.
+ */
+function loadEnv(dir, { env = process.env } = {}) {
+  const values = {};
+  const sources = {};
+  const files = [];
+
+  ENV_FILES.forEach((name) => {
+    const filePath = path.join(dir, name);
+    if (!fs.existsSync(filePath)) return;
+
+    const parsed = parseDotenv(fs.readFileSync(filePath, "utf8"));
+    files.push(filePath);
+    Object.entries(parsed).forEach(([key, value]) => {
+      values[key] = value;
+      sources[key] = name;
+    });
+  });
+
+  // Only non-empty variables override the files
+  Object.entries(env).forEach(([key, value]) => {
+    if (value === undefined || value === "") return;
+    values[key] = value;
+    sources[key] = "process.env";
+  });
+
+  return { values, sources, files };
+}
+
+function isSecret(key) {
+  return SECRET_PATTERN.test(key);
+}
+
+// Show just enough of a secret to tell two apart
+function maskSecret(value) {
+  if (!value) return value;
+  return value.length > 12 ? `${"*".repeat(8)}${value.slice(-4)}` : "********";
+}
+
+// Copy of `object` with the values of secret keys (token, gridToken,
+// webhookUrl...) masked, for logging
+function maskSecrets(object) {
+  return Object.fromEntries(
+    Object.entries(object).map(([key, value]) => [
+      key,
+      typeof value === "string" && isSecret(key) ? maskSecret(value) : value,
+    ]),
+  );
+}
+
+module.exports = {
+  CONFIG_VARS,
+  ENV_FILES,
+  parseDotenv,
+  loadEnv,
+  isSecret,
+  maskSecret,
+  maskSecrets,
+};
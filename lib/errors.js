@@ -0,0 +1,53 @@
+/**
+ * Errors thrown by the library API. The CLI reports their message and exits
+ * with status 1; library callers can tell them apart with instanceof.
+ */
+
+// Base class for every error the checker throws on purpose
+class SponsorCheckError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "SponsorCheckError";
+  }
+}
+
+// Missing or invalid configuration (credentials, endpoints, options)
+class ConfigError extends SponsorCheckError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ConfigError";
+  }
+}
+
+// The Sanity query failed after retries
+class SanityRequestError extends SponsorCheckError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "SanityRequestError";
+  }
+}
+
+// A Grid GraphQL request failed, or returned errors and no data
+class GridRequestError extends SponsorCheckError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "GridRequestError";
+  }
+}
+
+// A configured event tag name could not be found in the Grid
+class TagNotFoundError extends SponsorCheckError {
+  constructor(tagRef) {
+    super(`Tag "${tagRef}" not found in Grid`);
+    this.name = "TagNotFoundError";
+    this.tagRef = tagRef;
+  }
+}
+
+module.exports = {
+  SponsorCheckError,
+  ConfigError,
+  SanityRequestError,
+  GridRequestError,
+  TagNotFoundError,
+};
@@ -0,0 +1,186 @@
+/**
+ * Multi-event configuration (--config): a JSON file naming several events,
+ * each with its own Sanity dataset and page filter, constants file, event
+ * tags and Grid endpoint.
+ *
+ *   {
+ *     "defaults": { "projectId": "a4237xbr", "dataset": "production" },
+ *     "events": {
+ *       "breakpoint-2025": {
+ *         "name": "Breakpoint 2025",
+ *         "pages": ["breakpoint"],
+ *         "constants": "./constants-grid.js",
+ *         "tags": ["id1760088086-NEyjzLNeTcyFkhytuCu6RQ"]
+ *       }
+ *     }
+ *   }
+ *
+ * Settings missing from an event come from "defaults", then from .env and
+ * the command line. Paths are relative to the config file. Tokens are not
+ * stored in the file: "tokenEnv" names the environment variable holding it.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ConfigError } = require("./errors.js");
+
+// Event settings and the type each one must have
+const EVENT_FIELDS = {
+  name: "string",
+  projectId: "string",
+  dataset: "string",
+  tokenEnv: "string",
+  perspective: "string",
+  sanityApiUrl: "string",
+  pages: "string[]",
+  sections: "string[]",
+  dereference: "boolean",
+  constants: "string",
+  aliases: "string",
+  tags: "string[]",
+  gridEndpoint: "string",
+  matchThreshold: "number",
+};
+
+const PATH_FIELDS = ["constants", "aliases"];
+
+function checkType(value, type) {
+  if (type === "string[]") {
+    return (
+      Array.isArray(value) && value.every((item) => typeof item === "string")
+    );
+  }
+  return typeof value === type;
+}
+
+// Validate one settings object ("defaults" or an event)
+function readSettings(settings, label, baseDir) {
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    throw new ConfigError(`${label} must be an object`);
+  }
+
+  const result = {};
+  Object.entries(settings).forEach(([field, value]) => {
+    const type = EVENT_FIELDS[field];
+    if (!type) {
+      throw new ConfigError(
+        `${label}: unknown setting "${field}" (expected ${Object.keys(EVENT_FIELDS).join(", ")})`,
+      );
+    }
+    if (!checkType(value, type)) {
+      throw new ConfigError(`${label}: "${field}" must be a ${type}`);
+    }
+    result[field] = PATH_FIELDS.includes(field)
+      ? path.resolve(baseDir, value)
+      : value;
+  });
+  return result;
+}
+
+/**
+ * Load and validate the config file. Returns { path, events } with events
+ * in file order: [{ id, name, ...settings }] (defaults already applied).
+ */
+function loadEventsConfig(configPath) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    throw new ConfigError(
+      `Could not read config ${configPath}: ${error.message}`,
+    );
+  }
+
+  const baseDir = path.dirname(path.resolve(configPath));
+  const defaults = parsed.defaults
+    ? readSettings(parsed.defaults, "defaults", baseDir)
+    : {};
+
+  if (
+    !parsed.events ||
+    typeof parsed.events !== "object" ||
+    Object.keys(parsed.events).length === 0
+  ) {
+    throw new ConfigError(`${configPath} defines no events`);
+  }
+
+  const events = Object.entries(parsed.events).map(([id, settings]) => {
+    if (!/^[A-Za-z0-9][\w.-]*$/.test(id)) {
+      throw new ConfigError(
+        `Event id "${id}" may only contain letters, digits, ".", "_" and "-"`,
+      );
+    }
+    return {
+      id,
+      ...defaults,
+      ...readSettings(settings, `events.${id}`, baseDir),
+      name: settings.name || id,
+    };
+  });
+
+  return { path: path.resolve(configPath), events };
+}
+
+// Pick events by id (all when `ids` is empty)
+function selectEvents(events, ids = []) {
+  if (ids.length === 0) return events;
+
+  return ids.map((id) => {
+    const event = events.find((candidate) => candidate.id === id);
+    if (!event) {
+      throw new ConfigError(
+        `Unknown event "${id}" (configured: ${events.map((candidate) => candidate.id).join(", ")})`,
+      );
+    }
+    return event;
+  });
+}
+
+/**
+ * Config for one event: the event settings over `base` (built from the
+ * environment and the command line), with `overrides` (flags given
+ * explicitly) on top.
+ * `env` is used to look up the event's tokenEnv.
+ */
+function eventConfig(event, { base, overrides = {}, env = {} }) {
+  const settings = {
+    projectId: event.projectId,
+    dataset: event.dataset,
+    token: event.tokenEnv ? env[event.tokenEnv] : undefined,
+    perspective: event.perspective,
+    sanityApiUrl: event.sanityApiUrl,
+    pages: event.pages,
+    sections: event.sections,
+    dereference: event.dereference,
+    constantsPath: event.constants,
+    aliasesPath: event.aliases,
+    eventTagRefs: event.tags,
+    gridEndpoint: event.gridEndpoint,
+    matchThreshold: event.matchThreshold,
+  };
+  if (event.tokenEnv && !settings.token) {
+    throw new ConfigError(`Event "${event.id}": ${event.tokenEnv} is not set`);
+  }
+
+  const defined = Object.fromEntries(
+    Object.entries(settings).filter(([, value]) => value !== undefined),
+  );
+  return {
+    ...base,
+    ...defined,
+    ...overrides,
+    eventId: event.id,
+    eventName: event.name,
+    // Each event keeps its own snapshots and recordings
+    historyDir: path.join(base.historyDir, event.id),
+    recordDir: base.recordDir && path.join(base.recordDir, event.id),
+    replayDir: base.replayDir && path.join(base.replayDir, event.id),
+  };
+}
+
+module.exports = {
+  EVENT_FIELDS,
+  loadEventsConfig,
+  selectEvents,
+  eventConfig,
+};
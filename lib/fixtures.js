@@ -0,0 +1,94 @@
+/**
+ * Record / replay of the raw Sanity and Grid responses.
+ *
+ * --record wraps the fetch functions so every response body is also written
+ * to the fixtures directory, keyed by a hash of the query and its
+ * parameters. --replay serves those files back instead of making requests,
+ * and the run reuses the recording's clock, so the reports come out the same.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const FIXTURE_VERSION = 1;
+const META_FILE = "meta.json";
+
+// "sanity-<hash>" / "grid-<hash>", stable for the same query and parameters
+function fixtureName(kind, query, params) {
+  const hash = crypto
+    .createHash("sha1")
+    .update(JSON.stringify({ query, params }))
+    .digest("hex")
+    .slice(0, 16);
+  return `${kind}-${hash}`;
+}
+
+function writeJSON(filePath, value) {
+  fs.writeFileSync(filePath, JSON.stringify(value, null, 2) + "\n", "utf8");
+}
+
+/**
+ * Start a recording in `dir`: writes meta.json (recording time and the
+ * non-secret settings) and returns a wrapper for fetch functions.
+ */
+function startRecording(dir, { recordedAt, config }) {
+  fs.mkdirSync(dir, { recursive: true });
+  writeJSON(path.join(dir, META_FILE), {
+    version: FIXTURE_VERSION,
+    recordedAt,
+    projectId: config.projectId || null,
+    dataset: config.dataset || null,
+    perspective: config.perspective || null,
+    gridEndpoint: config.gridEndpoint || null,
+  });
+
+  // Failed requests are recorded too, so a replay fails the same way
+  return function record(kind, fetch) {
+    return async (query, params, settings) => {
+      const file = path.join(dir, `${fixtureName(kind, query, params)}.json`);
+      try {
+        const response = await fetch(query, params, settings);
+        writeJSON(file, { kind, query, params, response });
+        return response;
+      } catch (error) {
+        writeJSON(file, { kind, query, params, error: error.message });
+        throw error;
+      }
+    };
+  };
+}
+
+function loadFixtureMeta(dir) {
+  const metaPath = path.join(dir, META_FILE);
+  if (!fs.existsSync(metaPath)) {
+    throw new Error(`No recording found in ${dir} (missing ${META_FILE})`);
+  }
+  return JSON.parse(fs.readFileSync(metaPath, "utf8"));
+}
+
+// Fetch function answering from the recording in `dir`
+function replayFetch(dir, kind) {
+  return async (query, params) => {
+    const name = fixtureName(kind, query, params);
+    const file = path.join(dir, `${name}.json`);
+    if (!fs.existsSync(file)) {
+      throw new Error(
+        `No recorded ${kind} response for this request (${name}); record again with --record`,
+      );
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (fixture.error) {
+      throw new Error(fixture.error);
+    }
+    return fixture.response;
+  };
+}
+
+module.exports = {
+  fixtureName,
+  startRecording,
+  loadFixtureMeta,
+  replayFetch,
+};
@@ -0,0 +1,670 @@
+/**
+ * Serializers for the object returned by validateSponsorsWithGrid:
+ * CSV (spreadsheets), JSON (stable schema for scripts), Markdown (PR
+ * descriptions) and JUnit XML (CI test reports). The HTML report lives in
+ * lib/html-report.js.
+ */
+
+const { generateHTML } = require("./html-report.js");
+const { profileStatus } = require("./profile-status.js");
+
+const JSON_SCHEMA_VERSION = 1;
+
+// Always-quoted CSV cell with embedded quotes doubled (RFC 4180)
+function csvCell(value) {
+  return `"${String(value === null || value === undefined ? "" : value).replace(/"/g, '""')}"`;
+}
+
+// Header cells are only quoted when they need to be
+function csvHeader(value) {
+  return /[",\r\n]/.test(value) ? csvCell(value) : value;
+}
+
+function formatCandidates(candidates) {
+  return candidates
+    .map(
+      (candidate) =>
+        `${candidate.slug} (${candidate.confidence}${candidate.urlMain ? ` ${candidate.urlMain}` : ""})`,
+    )
+    .join("; ");
+}
+
+// "main: breakpoint / Sponsors; supporting: ..."
+function formatPlacements(placements) {
+  return placements
+    .map(
+      (placement) =>
+        `${placement.tier}: ${[placement.page, placement.section].filter((part) => part).join(" / ")}`,
+    )
+    .join("; ");
+}
+
+function generateCSV(data) {
+  const headers = [
+    "Sponsor Title",
+    "Slug",
+    "Status",
+    "In Sanity",
+    "Profile Exists in Grid",
+    "Profile ID",
+    "Profile Slug",
+    "Main URL",
+    "Sanity Website",
+    "Domain Check",
+    ...data.tiers.map(
+      (tier) => `In ${tier.charAt(0).toUpperCase() + tier.slice(1)} Tier`,
+    ),
+    "Pages / Sections",
+    "Multiple Placements",
+    ...data.eventTags.map((eventTag) => `Has ${eventTag.name} Tag`),
+    "External Tags Count",
+    "Tag IDs",
+    "Tag Names",
+    "Error",
+    "Suggested Slugs",
+    "Did You Mean",
+    "Note",
+    "Collisions",
+    ...(data.audit ? ["Completeness", "Missing Fields"] : []),
+  ];
+
+  const csvRows = [headers.map(csvHeader).join(",")];
+
+  data.gridDataResults.forEach((result) => {
+    const tagIds = result.externalTags.map((tag) => tag.id).join("; ");
+    const tagNames = result.externalTags
+      .map((tag) => tag.name)
+      .filter((name) => name !== "Unknown")
+      .join("; ");
+
+    const row = [
+      csvCell(result.sponsorTitle),
+      csvCell(result.slug),
+      profileStatus(result),
+      result.sanityTitle ? "Yes" : "No",
+      result.exists ? "Yes" : "No",
+      csvCell(result.profileId),
+      csvCell(result.profileSlug),
+      csvCell(result.urlMain),
+      csvCell(result.website),
+      result.domainCheck.status,
+      ...data.tiers.map((tier) => (result.tiers.includes(tier) ? "Yes" : "No")),
+      csvCell(formatPlacements(result.placements)),
+      result.multiplePlacements ? "Yes" : "No",
+      ...data.eventTags.map((eventTag) =>
+        result.tagChecks[eventTag.id] ? "Yes" : "No",
+      ),
+      result.externalTags.length,
+      csvCell(tagIds),
+      csvCell(tagNames),
+      csvCell(result.error),
+      csvCell(""),
+      csvCell(
+        result.correction
+          ? `${result.correction.slug} (${result.correction.matchType}, ${result.correction.id})`
+          : "",
+      ),
+      csvCell(""),
+      csvCell(result.collisions.join("; ")),
+      ...(data.audit
+        ? [
+            result.completeness ? `${result.completeness.score}%` : "",
+            csvCell(result.completeness?.missing.join("; ")),
+          ]
+        : []),
+    ];
+    csvRows.push(row.join(","));
+  });
+
+  // Sponsors missing from the constants have no slug yet, only suggestions
+  data.slugSuggestions.forEach((suggestion) => {
+    csvRows.push(
+      unmappedRow(data, {
+        title: suggestion.title,
+        status: "missing",
+        inSanity: true,
+        suggestion,
+        error: suggestion.error || "Missing from constants",
+      }),
+    );
+  });
+
+  // Null and commented-out constants entries
+  data.pending.forEach((entry) => {
+    csvRows.push(
+      unmappedRow(data, {
+        title: entry.key,
+        slug: entry.value,
+        status: entry.state === "null" ? "pending" : "commented_out",
+        inSanity: entry.inSanity,
+        sanityTitle: entry.sanityTitle,
+        suggestion: entry.suggestion,
+        error: entry.suggestion?.error || null,
+        note: entry.note,
+      }),
+    );
+  });
+
+  return csvRows.join("\n");
+}
+
+// CSV row for a sponsor without a Grid lookup (missing or pending)
+function unmappedRow(
+  data,
+  { title, slug, status, inSanity, sanityTitle, suggestion, error, note },
+) {
+  const placements = data.sponsorPlacements[sanityTitle || title] || [];
+
+  return [
+    csvCell(title),
+    csvCell(slug),
+    status,
+    inSanity ? "Yes" : "No",
+    "No",
+    csvCell(""),
+    csvCell(""),
+    csvCell(""),
+    csvCell(suggestion?.website),
+    "unknown",
+    ...data.tiers.map((tier) =>
+      placements.some((placement) => placement.tier === tier) ? "Yes" : "No",
+    ),
+    csvCell(formatPlacements(placements)),
+    placements.length > 1 ? "Yes" : "No",
+    ...data.eventTags.map(() => "No"),
+    0,
+    csvCell(""),
+    csvCell(""),
+    csvCell(error),
+    csvCell(formatCandidates(suggestion?.candidates || [])),
+    csvCell(""),
+    csvCell(note),
+    csvCell(
+      data.collisions
+        .filter(
+          (collision) =>
+            collision.keys.includes(title) ||
+            collision.titles.includes(sanityTitle || title),
+        )
+        .map((collision) => collision.message)
+        .join("; "),
+    ),
+    ...(data.audit ? ["", csvCell("")] : []),
+  ].join(",");
+}
+
+/**
+ * JSON with a fixed field set and order, so consumers can rely on it.
+ * Bump JSON_SCHEMA_VERSION when fields are renamed or removed.
+ */
+function generateJSON(data) {
+  const report = {
+    schemaVersion: JSON_SCHEMA_VERSION,
+    checkedAt: data.checkedAt || null,
+    isValid: data.isValid,
+    tier: data.tierFilter,
+    eventTags: data.eventTags.map((eventTag) => ({
+      id: eventTag.id,
+      name: eventTag.name,
+    })),
+    summary: {
+      sponsorTitles: data.apiSponsorTitles.length,
+      constantsEntries: data.gridKeys.length,
+      missingInConstants: data.missingInConstants.length,
+      extraInConstants: data.extraInConstants.length,
+      probableRenames: data.probableRenames.length,
+      pending: data.pending.length,
+      profilesChecked: data.gridDataResults.length,
+      profilesFound: data.existingProfiles.length,
+      profilesNotFound: data.missingProfiles.length,
+      slugMismatches: data.slugMismatches.length,
+      lookupFailures: data.lookupFailures.length,
+      domainMismatches: data.domainMismatches.length,
+      collisions: data.collisions.length,
+      incompleteProfiles: data.incompleteProfiles.length,
+    },
+    missingInConstants: data.missingInConstants.map((title) => {
+      const suggestion = data.slugSuggestions.find(
+        (candidate) => candidate.title === title,
+      );
+      return {
+        title,
+        placements: data.sponsorPlacements[title] || [],
+        website: suggestion?.website || null,
+        suggestions: (suggestion?.candidates || []).map((candidate) => ({
+          slug: candidate.slug,
+          profileId: candidate.id,
+          name: candidate.name,
+          urlMain: candidate.urlMain,
+          domainMatch: candidate.domainMatch,
+          confidence: candidate.confidence,
+        })),
+        suggestionError: suggestion?.error || null,
+      };
+    }),
+    extraInConstants: data.extraInConstants.slice(),
+    pending: data.pending.map((entry) => ({
+      key: entry.key,
+      state: entry.state,
+      value: entry.value,
+      note: entry.note,
+      line: entry.line,
+      inSanity: entry.inSanity,
+      sanityTitle: entry.sanityTitle,
+      suggestions: (entry.suggestion?.candidates || []).map((candidate) => ({
+        slug: candidate.slug,
+        profileId: candidate.id,
+        urlMain: candidate.urlMain,
+        confidence: candidate.confidence,
+      })),
+    })),
+    probableRenames: data.probableRenames.map((rename) => ({
+      title: rename.title,
+      key: rename.key,
+      reason: rename.reason,
+      score: rename.score,
+    })),
+    aliasedMatches: data.aliasedMatches.map((match) => ({
+      title: match.title,
+      key: match.key,
+    })),
+    collisions: data.collisions.map((collision) => ({
+      type: collision.type,
+      message: collision.message,
+      keys: collision.keys,
+      titles: collision.titles,
+    })),
+    multiplePlacements: data.multiplePlacements.map((entry) => ({
+      title: entry.title,
+      placements: entry.placements,
+    })),
+    profiles: data.gridDataResults.map((result) => ({
+      sponsorTitle: result.sponsorTitle,
+      sanityTitle: result.sanityTitle,
+      tiers: result.tiers,
+      placements: result.placements,
+      slug: result.slug,
+      status: profileStatus(result),
+      profileId: result.profileId,
+      urlMain: result.urlMain,
+      website: result.website,
+      domainCheck: result.domainCheck.status,
+      tags: Object.fromEntries(
+        data.eventTags.map((eventTag) => [
+          eventTag.id,
+          !!result.tagChecks[eventTag.id],
+        ]),
+      ),
+      externalTags: result.externalTags.map((tag) => ({
+        id: tag.id,
+        name: tag.name,
+      })),
+      correction: result.correction
+        ? {
+            slug: result.correction.slug,
+            profileId: result.correction.id,
+            urlMain: result.correction.urlMain,
+            matchType: result.correction.matchType,
+            confidence: result.correction.confidence,
+          }
+        : null,
+      completeness: result.completeness
+        ? {
+            score: result.completeness.score,
+            missing: result.completeness.missing,
+          }
+        : null,
+      error: result.error,
+    })),
+  };
+
+  return JSON.stringify(report, null, 2) + "\n";
+}
+
+// Escape text for a Markdown table cell
+function mdCell(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(/\|/g, "\\|")
+    .replace(/\r?\n/g, " ");
+}
+
+function mdTable(headers, rows) {
+  return [
+    `| ${headers.map(mdCell).join(" | ")} |`,
+    `| ${headers.map(() => "---").join(" | ")} |`,
+    ...rows.map((row) => `| ${row.map(mdCell).join(" | ")} |`),
+  ].join("\n");
+}
+
+// Markdown summary, meant to be pasted into the constants update PR
+function generateMarkdown(data) {
+  const lines = ["## Sponsor constants check", ""];
+
+  lines.push(
+    data.isValid
+      ? "✅ All Sanity sponsors match the `GRID_SLUGS` constants."
+      : "❌ The `GRID_SLUGS` constants are out of sync with Sanity.",
+    "",
+    mdTable(
+      ["Check", "Count"],
+      [
+        ["Sanity sponsor titles", data.apiSponsorTitles.length],
+        ["Constants entries", data.gridKeys.length],
+        ["Missing from constants", data.missingInConstants.length],
+        ["Extra in constants", data.extraInConstants.length],
+        ["Probable renames", data.probableRenames.length],
+        ["Pending (null / commented out)", data.pending.length],
+        ["Grid profiles not found", data.missingProfiles.length],
+        ["Slug mismatches", data.slugMismatches.length],
+        ["Grid lookups failed", data.lookupFailures.length],
+        ["Website domain mismatches", data.domainMismatches.length],
+        ["Duplicates and collisions", data.collisions.length],
+        ...(data.audit
+          ? [["Incomplete Grid profiles", data.incompleteProfiles.length]]
+          : []),
+      ],
+    ),
+    "",
+  );
+
+  if (data.missingInConstants.length > 0) {
+    lines.push("### Added sponsors (missing from constants)", "");
+    lines.push(
+      mdTable(
+        ["Sponsor", "Suggested slug", "Confidence", "Grid URL"],
+        data.missingInConstants.map((title) => {
+          const suggestion = data.slugSuggestions.find(
+            (candidate) => candidate.title === title,
+          );
+          const best = suggestion?.candidates[0];
+          return [
+            title,
+            best ? `\`${best.slug}\`` : "_none found_",
+            best ? `${Math.round(best.confidence * 100)}%` : "",
+            best?.urlMain || "",
+          ];
+        }),
+      ),
+      "",
+    );
+  }
+
+  if (data.extraInConstants.length > 0) {
+    lines.push("### Stale keys (not in Sanity)", "");
+    data.extraInConstants.forEach((key) => lines.push(`- \`${key}\``));
+    lines.push("");
+  }
+
+  if (data.pending.length > 0) {
+    lines.push("### Pending entries (null or commented out)", "");
+    lines.push(
+      mdTable(
+        ["Key", "State", "In Sanity", "Note", "Suggested slug"],
+        data.pending.map((entry) => {
+          const best = entry.suggestion?.candidates[0];
+          return [
+            entry.key,
+            entry.state === "null" ? "`null`" : "commented out",
+            entry.inSanity ? "yes" : "no",
+            entry.note || "",
+            best
+              ? `\`${best.slug}\` (${Math.round(best.confidence * 100)}%)`
+              : "",
+          ];
+        }),
+      ),
+      "",
+    );
+  }
+
+  if (data.probableRenames.length > 0) {
+    lines.push("### Probable renames", "");
+    lines.push(
+      mdTable(
+        ["Sanity title", "Constants key", "Match", "Score"],
+        data.probableRenames.map((rename) => [
+          rename.title,
+          rename.key,
+          rename.reason,
+          `${Math.round(rename.score * 100)}%`,
+        ]),
+      ),
+      "",
+    );
+  }
+
+  if (data.collisions.length > 0) {
+    lines.push("### Duplicates and collisions", "");
+    data.collisions.forEach((collision) =>
+      lines.push(`- ${mdCell(collision.message)}`),
+    );
+    lines.push("");
+  }
+
+  if (data.multiplePlacements.length > 0) {
+    lines.push("### Sponsors in more than one tier or section", "");
+    lines.push(
+      mdTable(
+        ["Sponsor", "Placements"],
+        data.multiplePlacements.map((entry) => [
+          entry.title,
+          formatPlacements(entry.placements),
+        ]),
+      ),
+      "",
+    );
+  }
+
+  if (data.slugMismatches.length > 0) {
+    lines.push("### Slug corrections", "");
+    lines.push(
+      mdTable(
+        ["Sponsor", "Current slug", "Grid slug", "Match"],
+        data.slugMismatches.map((result) => [
+          result.sponsorTitle,
+          `\`${result.slug}\``,
+          `\`${result.correction.slug}\``,
+          result.correction.matchType,
+        ]),
+      ),
+      "",
+    );
+  }
+
+  if (data.domainMismatches.length > 0) {
+    lines.push("### Website domain mismatches", "");
+    lines.push(
+      mdTable(
+        ["Sponsor", "Slug", "Sanity website", "Grid urlMain"],
+        data.domainMismatches.map((result) => [
+          result.sponsorTitle,
+          `\`${result.slug}\``,
+          result.domainCheck.sponsorDomain,
+          result.domainCheck.gridDomain,
+        ]),
+      ),
+      "",
+    );
+  }
+
+  if (data.incompleteProfiles.length > 0) {
+    lines.push("### Incomplete Grid profiles", "");
+    lines.push(
+      mdTable(
+        ["Sponsor", "Slug", "Completeness", "Missing fields"],
+        data.incompleteProfiles.map((result) => [
+          result.sponsorTitle,
+          `\`${result.slug}\``,
+          `${result.completeness.score}%`,
+          result.completeness.missing.join(", "),
+        ]),
+      ),
+      "",
+    );
+  }
+
+  if (data.missingProfiles.length > 0) {
+    lines.push("### Grid profiles not found", "");
+    data.missingProfiles.forEach((result) =>
+      lines.push(`- ${mdCell(result.sponsorTitle)} (\`${result.slug}\`)`),
+    );
+    lines.push("");
+  }
+
+  if (data.lookupFailures.length > 0) {
+    lines.push("### Grid lookups failed (not confirmed missing)", "");
+    data.lookupFailures.forEach((result) =>
+      lines.push(`- ${mdCell(result.sponsorTitle)} (\`${result.slug}\`)`),
+    );
+    lines.push("");
+  }
+
+  data.eventTags.forEach((eventTag) => {
+    const untagged = data.existingProfiles.filter(
+      (result) => !result.tagChecks[eventTag.id],
+    );
+    if (untagged.length === 0) return;
+
+    lines.push(`### Profiles without the ${mdCell(eventTag.name)} tag`, "");
+    untagged.forEach((result) =>
+      lines.push(`- ${mdCell(result.sponsorTitle)} (\`${result.slug}\`)`),
+    );
+    lines.push("");
+  });
+
+  return lines.join("\n");
+}
+
+function xmlEscape(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// JUnit XML with one test case per sponsor, so CI can show results natively
+function generateJUnit(data) {
+  const testCases = [];
+
+  data.gridDataResults.forEach((result) => {
+    const failures = [];
+    let error = null;
+    const status = profileStatus(result);
+
+    if (status === "lookup_failed") {
+      error = result.error;
+    } else if (status === "slug_mismatch") {
+      failures.push(
+        `Slug "${result.slug}" not found, did you mean "${result.correction.slug}"?`,
+      );
+    } else if (status === "not_found") {
+      failures.push(`Grid profile "${result.slug}" not found`);
+    } else {
+      data.eventTags.forEach((eventTag) => {
+        if (!result.tagChecks[eventTag.id]) {
+          failures.push(`Missing ${eventTag.name} tag`);
+        }
+      });
+    }
+    if (result.domainCheck.status === "mismatch") {
+      failures.push(
+        `Sanity website ${result.domainCheck.sponsorDomain} does not match Grid urlMain ${result.domainCheck.gridDomain}`,
+      );
+    }
+    if (data.extraInConstants.includes(result.sponsorTitle)) {
+      failures.push("Constants key not found in Sanity sponsors");
+    }
+
+    testCases.push({
+      classname: "grid-profiles",
+      name: result.sponsorTitle,
+      failures,
+      error,
+    });
+  });
+
+  data.missingInConstants.forEach((title) => {
+    testCases.push({
+      classname: "constants",
+      name: title,
+      failures: ["Sponsor is missing from GRID_SLUGS"],
+      error: null,
+    });
+  });
+
+  data.probableRenames.forEach((rename) => {
+    testCases.push({
+      classname: "constants",
+      name: rename.title,
+      failures: [
+        `Constants key "${rename.key}" does not match the Sanity title (${rename.reason})`,
+      ],
+      error: null,
+    });
+  });
+
+  data.collisions.forEach((collision) => {
+    testCases.push({
+      classname: "consistency",
+      name: collision.type,
+      failures: [collision.message],
+      error: null,
+    });
+  });
+
+  const failureCount = testCases.filter(
+    (testCase) => testCase.failures.length > 0 && !testCase.error,
+  ).length;
+  const errorCount = testCases.filter((testCase) => testCase.error).length;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="sponsor-validation" tests="${testCases.length}" failures="${failureCount}" errors="${errorCount}">`,
+    `  <testsuite name="sponsor-validation" tests="${testCases.length}" failures="${failureCount}" errors="${errorCount}"${data.checkedAt ? ` timestamp="${xmlEscape(data.checkedAt)}"` : ""}>`,
+  ];
+
+  testCases.forEach((testCase) => {
+    const open = `    <testcase classname="${xmlEscape(testCase.classname)}" name="${xmlEscape(testCase.name)}"`;
+    if (testCase.error) {
+      lines.push(
+        `${open}>`,
+        `      <error message="${xmlEscape(testCase.error)}"/>`,
+        "    </testcase>",
+      );
+    } else if (testCase.failures.length > 0) {
+      lines.push(
+        `${open}>`,
+        `      <failure message="${xmlEscape(testCase.failures[0])}">${xmlEscape(testCase.failures.join("\n"))}</failure>`,
+        "    </testcase>",
+      );
+    } else {
+      lines.push(`${open}/>`);
+    }
+  });
+
+  lines.push("  </testsuite>", "</testsuites>", "");
+  return lines.join("\n");
+}
+
+// Output formats: file extension and serializer. render(data, options)
+// only uses options for HTML (Grid profile links)
+const FORMATTERS = {
+  csv: { extension: "csv", render: generateCSV },
+  json: { extension: "json", render: generateJSON },
+  markdown: { extension: "md", render: generateMarkdown },
+  junit: { extension: "xml", render: generateJUnit },
+  html: { extension: "html", render: generateHTML },
+};
+
+module.exports = {
+  JSON_SCHEMA_VERSION,
+  FORMATTERS,
+  csvCell,
+  generateCSV,
+  generateJSON,
+  generateMarkdown,
+  generateJUnit,
+  generateHTML,
+};
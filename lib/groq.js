@@ -0,0 +1,68 @@
+/**
+ * GROQ query for the sponsor sections, built from the page/section filters.
+ *
+ * Filter values are passed as query parameters ($pages, $sections) rather
+ * than spliced into the query, so they need no escaping.
+ */
+
+// Sponsor fields, read from the referenced document when the entry is a
+// reference and from the inline object otherwise
+function sponsorProjection(dereference) {
+  const field = (name) =>
+    dereference ? `coalesce(@->${name}, ${name})` : name;
+
+  return `{
+      _key,
+      "_id": ${dereference ? "coalesce(@->_id, _id)" : "_id"},
+      "title": ${field("title")},
+      "website": ${dereference ? "coalesce(@->website, @->url, website, url, link, href)" : "coalesce(website, url, link, href)"},
+      "logo": ${field("logo")}.asset->{ _id, url }
+    }`;
+}
+
+/**
+ * Build the sponsor query.
+ *
+ *   pages        page slugs or _ids to read (default: every page)
+ *   sections     sponsorSection _keys or titles to read (default: all)
+ *   dereference  follow sponsor references with -> (default: true)
+ *
+ * Returns { query, params } for fetchFromSanity.
+ */
+function buildSponsorQuery({
+  pages = [],
+  sections = [],
+  dereference = true,
+} = {}) {
+  const params = {};
+  const pageFilters = ['_type == "page"'];
+  const sectionFilters = ['_type == "sponsorSection"'];
+
+  if (pages.length > 0) {
+    params.pages = pages;
+    pageFilters.push("(slug.current in $pages || _id in $pages)");
+  }
+  if (sections.length > 0) {
+    params.sections = sections;
+    sectionFilters.push("(_key in $sections || title in $sections)");
+  }
+
+  const sponsors = sponsorProjection(dereference);
+  const query = `*[${pageFilters.join(" && ")}]{
+  _id,
+  "slug": slug.current,
+  "sponsorSections": components[${sectionFilters.join(" && ")}]{
+    _type,
+    _key,
+    title,
+    "sponsors": sponsors[]${sponsors},
+    "supportingSponsors": supportingSponsors[]${sponsors}
+  }
+}`;
+
+  return { query, params };
+}
+
+module.exports = {
+  buildSponsorQuery,
+};
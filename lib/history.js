@@ -0,0 +1,281 @@
+/**
+ * Run history: every run stores a snapshot of the Sanity sponsor list and
+ * the Grid profile results, so consecutive runs can be compared.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { profileStatus } = require("./profile-status.js");
+
+const DEFAULT_HISTORY_DIR = ".sponsor-history";
+const SNAPSHOT_VERSION = 1;
+
+// Profile fields compared between snapshots
+const TRACKED_FIELDS = [
+  "status",
+  "profileId",
+  "urlMain",
+  "domainCheck",
+  "error",
+];
+
+// Build the snapshot stored for one run
+function createSnapshot(validation, apiSponsors) {
+  return {
+    version: SNAPSHOT_VERSION,
+    checkedAt: validation.checkedAt,
+    eventTags: validation.eventTags.map((eventTag) => ({
+      id: eventTag.id,
+      name: eventTag.name,
+    })),
+    sponsors: apiSponsors.placements.map((placement) => ({
+      title: placement.title,
+      tier: placement.tier,
+      page: placement.page,
+      section: placement.section,
+    })),
+    gridDataResults: validation.gridDataResults.map((result) => ({
+      sponsorTitle: result.sponsorTitle,
+      slug: result.slug,
+      status: profileStatus(result),
+      profileId: result.profileId,
+      urlMain: result.urlMain,
+      domainCheck: result.domainCheck.status,
+      tagChecks: { ...result.tagChecks },
+      error: result.error,
+    })),
+  };
+}
+
+function snapshotId(checkedAt) {
+  return checkedAt.replace(/[:.]/g, "-");
+}
+
+function saveSnapshot(historyDir, snapshot) {
+  fs.mkdirSync(historyDir, { recursive: true });
+  const id = snapshotId(snapshot.checkedAt);
+  const filePath = path.join(historyDir, `${id}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(snapshot, null, 2) + "\n", "utf8");
+  return { id, path: filePath };
+}
+
+// Snapshot ids, oldest first (ids are ISO timestamps, so they sort by name)
+function listSnapshots(historyDir) {
+  if (!fs.existsSync(historyDir)) return [];
+
+  return fs
+    .readdirSync(historyDir)
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => name.slice(0, -".json".length))
+    .sort();
+}
+
+/**
+ * Load a snapshot by id, file path, "latest" or "previous" (the one before
+ * the latest). `exclude` skips a snapshot id, e.g. the one just saved.
+ */
+function loadSnapshot(historyDir, ref, { exclude } = {}) {
+  let filePath;
+
+  if (ref === "latest" || ref === "previous") {
+    const ids = listSnapshots(historyDir).filter((id) => id !== exclude);
+    const id =
+      ref === "latest" ? ids[ids.length - 1] : ids[ids.length - 2] || null;
+    if (!id) return null;
+    filePath = path.join(historyDir, `${id}.json`);
+  } else if (fs.existsSync(ref)) {
+    filePath = ref;
+  } else {
+    filePath = path.join(historyDir, `${ref.replace(/\.json$/, "")}.json`);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Snapshot not found: ${ref}`);
+    }
+  }
+
+  const snapshot = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  return { id: path.basename(filePath, ".json"), ...snapshot };
+}
+
+function countTitles(sponsors) {
+  const counts = new Map();
+  sponsors.forEach((sponsor) => {
+    if (sponsor.title) {
+      counts.set(sponsor.title, (counts.get(sponsor.title) || 0) + 1);
+    }
+  });
+  return counts;
+}
+
+/**
+ * Compare two snapshots. Profiles are keyed by sponsor title + slug; tag
+ * changes are reported per event tag present in either snapshot.
+ */
+function diffSnapshots(before, after) {
+  const beforeTitles = countTitles(before.sponsors);
+  const afterTitles = countTitles(after.sponsors);
+
+  const sponsorsAdded = Array.from(afterTitles.keys())
+    .filter((title) => !beforeTitles.has(title))
+    .sort();
+  const sponsorsRemoved = Array.from(beforeTitles.keys())
+    .filter((title) => !afterTitles.has(title))
+    .sort();
+
+  const tierOf = (snapshot, title) =>
+    snapshot.sponsors
+      .filter((sponsor) => sponsor.title === title)
+      .map((sponsor) => sponsor.tier)
+      .sort()
+      .join("+");
+  const tierChanges = Array.from(afterTitles.keys())
+    .filter((title) => beforeTitles.has(title))
+    .filter((title) => tierOf(before, title) !== tierOf(after, title))
+    .sort()
+    .map((title) => ({
+      title,
+      before: tierOf(before, title),
+      after: tierOf(after, title),
+    }));
+
+  const keyOf = (result) => `${result.sponsorTitle}\u0000${result.slug}`;
+  const beforeProfiles = new Map(
+    before.gridDataResults.map((result) => [keyOf(result), result]),
+  );
+  const afterProfiles = new Map(
+    after.gridDataResults.map((result) => [keyOf(result), result]),
+  );
+
+  const profilesAdded = after.gridDataResults.filter(
+    (result) => !beforeProfiles.has(keyOf(result)),
+  );
+  const profilesRemoved = before.gridDataResults.filter(
+    (result) => !afterProfiles.has(keyOf(result)),
+  );
+
+  const tagNames = new Map();
+  [...(before.eventTags || []), ...(after.eventTags || [])].forEach((tag) =>
+    tagNames.set(tag.id, tag.name),
+  );
+
+  const profileChanges = [];
+  after.gridDataResults.forEach((result) => {
+    const previous = beforeProfiles.get(keyOf(result));
+    if (!previous) return;
+
+    const changes = TRACKED_FIELDS.filter(
+      (field) => (previous[field] ?? null) !== (result[field] ?? null),
+    ).map((field) => ({
+      field,
+      before: previous[field] ?? null,
+      after: result[field] ?? null,
+    }));
+
+    tagNames.forEach((name, tagId) => {
+      const had = previous.tagChecks?.[tagId];
+      const has = result.tagChecks?.[tagId];
+      // Only compare tags that were checked in both runs
+      if (had === undefined || has === undefined || had === has) return;
+      changes.push({ field: `tag:${name}`, before: had, after: has });
+    });
+
+    if (changes.length > 0) {
+      profileChanges.push({
+        sponsorTitle: result.sponsorTitle,
+        slug: result.slug,
+        changes,
+      });
+    }
+  });
+
+  return {
+    from: before.checkedAt,
+    to: after.checkedAt,
+    sponsorsAdded,
+    sponsorsRemoved,
+    tierChanges,
+    profilesAdded,
+    profilesRemoved,
+    profileChanges,
+    hasChanges:
+      sponsorsAdded.length +
+        sponsorsRemoved.length +
+        tierChanges.length +
+        profilesAdded.length +
+        profilesRemoved.length +
+        profileChanges.length >
+      0,
+  };
+}
+
+function formatValue(value) {
+  if (value === true) return "yes";
+  if (value === false) return "no";
+  return value === null || value === undefined ? "—" : String(value);
+}
+
+// Terminal lines describing a snapshot diff
+function formatSnapshotDiff(diff) {
+  const lines = [`🕑 CHANGES SINCE ${diff.from} (now ${diff.to}):`];
+
+  if (!diff.hasChanges) {
+    lines.push("   No changes.");
+    return lines;
+  }
+
+  if (diff.sponsorsAdded.length > 0) {
+    lines.push(
+      `   ➕ Sponsors added in Sanity (${diff.sponsorsAdded.length}):`,
+    );
+    diff.sponsorsAdded.forEach((title) => lines.push(`      • ${title}`));
+  }
+  if (diff.sponsorsRemoved.length > 0) {
+    lines.push(
+      `   ➖ Sponsors removed from Sanity (${diff.sponsorsRemoved.length}):`,
+    );
+    diff.sponsorsRemoved.forEach((title) => lines.push(`      • ${title}`));
+  }
+  if (diff.tierChanges.length > 0) {
+    lines.push(`   🔀 Tier changes (${diff.tierChanges.length}):`);
+    diff.tierChanges.forEach((change) =>
+      lines.push(`      • ${change.title}: ${change.before} → ${change.after}`),
+    );
+  }
+  if (diff.profilesAdded.length > 0) {
+    lines.push(`   ➕ Constants entries added (${diff.profilesAdded.length}):`);
+    diff.profilesAdded.forEach((result) =>
+      lines.push(`      • ${result.sponsorTitle} (${result.slug})`),
+    );
+  }
+  if (diff.profilesRemoved.length > 0) {
+    lines.push(
+      `   ➖ Constants entries removed (${diff.profilesRemoved.length}):`,
+    );
+    diff.profilesRemoved.forEach((result) =>
+      lines.push(`      • ${result.sponsorTitle} (${result.slug})`),
+    );
+  }
+  if (diff.profileChanges.length > 0) {
+    lines.push(`   ✏️  Profile changes (${diff.profileChanges.length}):`);
+    diff.profileChanges.forEach((entry) => {
+      const details = entry.changes
+        .map(
+          (change) =>
+            `${change.field}: ${formatValue(change.before)} → ${formatValue(change.after)}`,
+        )
+        .join(", ");
+      lines.push(`      • ${entry.sponsorTitle} (${entry.slug}): ${details}`);
+    });
+  }
+
+  return lines;
+}
+
+module.exports = {
+  DEFAULT_HISTORY_DIR,
+  createSnapshot,
+  saveSnapshot,
+  listSnapshots,
+  loadSnapshot,
+  diffSnapshots,
+  formatSnapshotDiff,
+};
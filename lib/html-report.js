@@ -0,0 +1,398 @@
+/**
+ * Self-contained HTML report (--format html): summary counts and sortable,
+ * filterable tables with full titles, tag names and links. Styles and
+ * scripts are inlined, so the file works offline and can be shared as is.
+ */
+
+const { profileStatus } = require("./profile-status.js");
+
+// Grid profile page, {slug} is replaced with the profile slug
+const DEFAULT_PROFILE_URL = "https://thegrid.id/profiles/{slug}";
+
+function htmlEscape(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Link to an http(s) URL; anything else is shown as plain text
+function link(url, text = url) {
+  if (!url) return "";
+  if (!/^https?:\/\//i.test(url)) return htmlEscape(text);
+  return `<a href="${htmlEscape(url)}" target="_blank" rel="noopener noreferrer">${htmlEscape(text)}</a>`;
+}
+
+const STATUS_LABELS = {
+  found: "✅ found",
+  lookup_failed: "⚠️ lookup failed",
+  slug_mismatch: "🔁 slug mismatch",
+  not_found: "❌ not found",
+};
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+/**
+ * A table section as { id, title, html }. Cells are HTML strings, or
+ * { html, sort } to sort the column by another value.
+ */
+function tableSection(id, title, headers, rows, emptyText) {
+  const body =
+    rows.length === 0
+      ? `<p class="empty">${htmlEscape(emptyText)}</p>`
+      : `<input class="filter" type="search" placeholder="Filter ${htmlEscape(title.toLowerCase())}…" data-table="${id}">
+<table id="${id}">
+<thead><tr>${headers.map((header) => `<th>${htmlEscape(header)}</th>`).join("")}</tr></thead>
+<tbody>
+${rows
+  .map(
+    (row) =>
+      `<tr>${row
+        .map((cell) =>
+          cell && typeof cell === "object"
+            ? `<td data-sort="${htmlEscape(cell.sort)}">${cell.html}</td>`
+            : `<td>${cell === null || cell === undefined ? "" : cell}</td>`,
+        )
+        .join("")}</tr>`,
+  )
+  .join("\n")}
+</tbody>
+</table>`;
+
+  return {
+    id,
+    title,
+    html: `<section id="section-${id}">
+<h2>${htmlEscape(title)} <span class="count">${rows.length}</span></h2>
+${body}
+</section>`,
+  };
+}
+
+const STYLES = `
+body { font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 2rem; color: #1f2328; }
+h1 { margin-bottom: 0; }
+.meta { color: #59636e; margin-top: 0.25rem; }
+.status { font-weight: 600; }
+.summary { display: flex; flex-wrap: wrap; gap: 0.75rem; margin: 1.5rem 0; }
+.card { border: 1px solid #d1d9e0; border-radius: 6px; padding: 0.5rem 1rem; min-width: 9rem; }
+.card strong { display: block; font-size: 1.5rem; }
+.card.problem strong { color: #cf222e; }
+nav a { margin-right: 1rem; }
+section { margin-top: 2.5rem; }
+.count { background: #eff2f5; border-radius: 1rem; padding: 0 0.6rem; font-size: 0.9rem; }
+.filter { margin-bottom: 0.5rem; padding: 0.3rem 0.5rem; width: 20rem; max-width: 100%; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #d1d9e0; padding: 0.3rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f6f8fa; cursor: pointer; user-select: none; white-space: nowrap; }
+th[data-order="asc"]::after { content: " ▲"; }
+th[data-order="desc"]::after { content: " ▼"; }
+tr:nth-child(even) td { background: #fbfcfd; }
+.empty { color: #59636e; }
+`;
+
+// Click a header to sort (again to reverse); type in a filter to hide rows
+const SCRIPT = `
+document.querySelectorAll("table").forEach((table) => {
+  table.querySelectorAll("th").forEach((th, column) => {
+    th.addEventListener("click", () => {
+      const order = th.dataset.order === "asc" ? "desc" : "asc";
+      table.querySelectorAll("th").forEach((other) => delete other.dataset.order);
+      th.dataset.order = order;
+      const value = (row) => {
+        const cell = row.children[column];
+        return cell.dataset.sort !== undefined ? cell.dataset.sort : cell.textContent.trim();
+      };
+      const rows = Array.from(table.tBodies[0].rows);
+      rows.sort((a, b) => {
+        const x = value(a);
+        const y = value(b);
+        const numeric = x !== "" && y !== "" && !isNaN(x) && !isNaN(y);
+        const result = numeric ? x - y : x.localeCompare(y, undefined, { sensitivity: "base" });
+        return order === "asc" ? result : -result;
+      });
+      rows.forEach((row) => table.tBodies[0].appendChild(row));
+    });
+  });
+});
+document.querySelectorAll("input.filter").forEach((input) => {
+  input.addEventListener("input", () => {
+    const text = input.value.trim().toLowerCase();
+    const table = document.getElementById(input.dataset.table);
+    Array.from(table.tBodies[0].rows).forEach((row) => {
+      row.hidden = text !== "" && !row.textContent.toLowerCase().includes(text);
+    });
+  });
+});
+`;
+
+/**
+ * Render the validation result as one HTML page.
+ *
+ *   options.profileUrl  Grid profile URL template (default
+ *                       https://thegrid.id/profiles/{slug})
+ */
+function generateHTML(data, options = {}) {
+  const profileTemplate = options.profileUrl || DEFAULT_PROFILE_URL;
+  const profileLink = (slug) =>
+    slug
+      ? link(profileTemplate.replace("{slug}", encodeURIComponent(slug)), slug)
+      : "";
+  const placementsOf = (title) =>
+    (data.sponsorPlacements[title] || [])
+      .map((placement) =>
+        htmlEscape(
+          `${placement.tier}: ${[placement.page, placement.section].filter((part) => part).join(" / ")}`,
+        ),
+      )
+      .join("<br>");
+  const tagNames = (result) =>
+    result.externalTags
+      .map((tag) => htmlEscape(tag.name === "Unknown" ? tag.id : tag.name))
+      .join("<br>");
+
+  const pendingInSanity = data.pending.filter((entry) => entry.inSanity);
+  const counts = [
+    ["Sanity sponsors", data.apiSponsorTitles.length, false],
+    ["Constants entries", data.gridKeys.length, false],
+    ["Missing from constants", data.missingInConstants.length, true],
+    ["Extra in constants", data.extraInConstants.length, true],
+    ["Probable renames", data.probableRenames.length, true],
+    ["Pending in Sanity", pendingInSanity.length, true],
+    ["Profiles found", data.existingProfiles.length, false],
+    ["Profiles not found", data.missingProfiles.length, true],
+    ["Slug mismatches", data.slugMismatches.length, true],
+    ["Lookups failed", data.lookupFailures.length, true],
+    ["Domain mismatches", data.domainMismatches.length, true],
+    ["Duplicates / collisions", data.collisions.length, true],
+    ...(data.audit
+      ? [["Incomplete profiles", data.incompleteProfiles.length, true]]
+      : []),
+    ...data.eventTags.map((eventTag) => [
+      `With ${eventTag.name} tag`,
+      data.gridDataResults.filter((result) => result.tagChecks[eventTag.id])
+        .length,
+      false,
+    ]),
+  ];
+
+  const sections = [];
+
+  sections.push(
+    tableSection(
+      "missing",
+      "Missing in constants",
+      ["Sponsor", "Placements", "Website", "Suggested slug", "Confidence"],
+      data.missingInConstants.map((title) => {
+        const suggestion = data.slugSuggestions.find(
+          (candidate) => candidate.title === title,
+        );
+        const best = suggestion?.candidates[0];
+        return [
+          htmlEscape(title),
+          placementsOf(title),
+          link(suggestion?.website),
+          best ? profileLink(best.slug) : "",
+          best ? { html: percent(best.confidence), sort: best.confidence } : "",
+        ];
+      }),
+      "Every Sanity sponsor is in the constants.",
+    ),
+  );
+
+  sections.push(
+    tableSection(
+      "extra",
+      "Extra in constants",
+      ["Constants key", "Slug", "Status"],
+      data.extraInConstants.map((key) => {
+        const result = data.gridDataResults.find(
+          (candidate) => candidate.sponsorTitle === key,
+        );
+        return [
+          htmlEscape(key),
+          profileLink(result?.slug),
+          result ? htmlEscape(STATUS_LABELS[profileStatus(result)]) : "",
+        ];
+      }),
+      "Every constants key is a Sanity sponsor.",
+    ),
+  );
+
+  sections.push(
+    tableSection(
+      "not-found",
+      "Profiles not found",
+      ["Constants key", "Slug", "Status", "Did you mean", "Error"],
+      data.gridDataResults
+        .filter((result) => !result.exists)
+        .map((result) => [
+          htmlEscape(result.sponsorTitle),
+          htmlEscape(result.slug),
+          htmlEscape(STATUS_LABELS[profileStatus(result)]),
+          result.correction
+            ? `${profileLink(result.correction.slug)} (${htmlEscape(result.correction.matchType)})`
+            : "",
+          htmlEscape(result.error),
+        ]),
+      "Every slug has a Grid profile.",
+    ),
+  );
+
+  sections.push(
+    tableSection(
+      "tag-missing",
+      "Tag missing",
+      ["Constants key", "Slug", "Profile ID", "Missing tags", "Current tags"],
+      data.existingProfiles
+        .filter((result) =>
+          data.eventTags.some((eventTag) => !result.tagChecks[eventTag.id]),
+        )
+        .map((result) => [
+          htmlEscape(result.sponsorTitle),
+          profileLink(result.slug),
+          htmlEscape(result.profileId),
+          data.eventTags
+            .filter((eventTag) => !result.tagChecks[eventTag.id])
+            .map((eventTag) => htmlEscape(eventTag.name))
+            .join("<br>"),
+          tagNames(result),
+        ]),
+      "Every found profile has the event tags.",
+    ),
+  );
+
+  if (data.pending.length > 0) {
+    sections.push(
+      tableSection(
+        "pending",
+        "Pending entries",
+        ["Constants key", "State", "In Sanity", "Note", "Suggested slug"],
+        data.pending.map((entry) => {
+          const best = entry.suggestion?.candidates[0];
+          return [
+            htmlEscape(entry.key),
+            entry.state === "null" ? "null" : "commented out",
+            entry.inSanity ? "yes" : "no",
+            htmlEscape(entry.note),
+            best ? profileLink(best.slug) : "",
+          ];
+        }),
+      ),
+    );
+  }
+
+  if (data.probableRenames.length > 0) {
+    sections.push(
+      tableSection(
+        "renames",
+        "Probable renames",
+        ["Sanity title", "Constants key", "Match", "Score"],
+        data.probableRenames.map((rename) => [
+          htmlEscape(rename.title),
+          htmlEscape(rename.key),
+          htmlEscape(rename.reason),
+          { html: percent(rename.score), sort: rename.score },
+        ]),
+      ),
+    );
+  }
+
+  if (data.collisions.length > 0) {
+    sections.push(
+      tableSection(
+        "collisions",
+        "Duplicates and collisions",
+        ["Type", "Details"],
+        data.collisions.map((collision) => [
+          htmlEscape(collision.type),
+          htmlEscape(collision.message),
+        ]),
+      ),
+    );
+  }
+
+  sections.push(
+    tableSection(
+      "profiles",
+      "All profiles",
+      [
+        "Constants key",
+        "Sanity title",
+        "Slug",
+        "Status",
+        "Profile ID",
+        "Website",
+        "Grid URL",
+        "Domain",
+        "Placements",
+        ...data.eventTags.map((eventTag) => eventTag.name),
+        "Tags",
+        ...(data.audit ? ["Completeness", "Missing fields"] : []),
+      ],
+      data.gridDataResults.map((result) => [
+        htmlEscape(result.sponsorTitle),
+        htmlEscape(result.sanityTitle),
+        result.exists ? profileLink(result.slug) : htmlEscape(result.slug),
+        htmlEscape(STATUS_LABELS[profileStatus(result)]),
+        htmlEscape(result.profileId),
+        link(result.website),
+        link(result.urlMain),
+        htmlEscape(result.domainCheck.status),
+        placementsOf(result.sanityTitle),
+        ...data.eventTags.map((eventTag) =>
+          result.tagChecks[eventTag.id] ? "✅" : "❌",
+        ),
+        tagNames(result),
+        ...(data.audit
+          ? [
+              result.completeness
+                ? {
+                    html: `${result.completeness.score}%`,
+                    sort: result.completeness.score,
+                  }
+                : "",
+              htmlEscape(result.completeness?.missing.join(", ")),
+            ]
+          : []),
+      ]),
+      "No constants entries were checked.",
+    ),
+  );
+
+  const title = "Sponsor validation report";
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}${data.checkedAt ? ` – ${htmlEscape(data.checkedAt.split("T")[0])}` : ""}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p class="meta">Checked at ${htmlEscape(data.checkedAt)}${data.tierFilter ? ` · ${htmlEscape(data.tierFilter)} sponsors only` : ""} · Event tags: ${data.eventTags.map((eventTag) => htmlEscape(eventTag.name)).join(", ")}</p>
+<p class="status">${data.isValid ? "✅ All Sanity sponsors match the constants." : "❌ The constants are out of sync with Sanity."}</p>
+<div class="summary">
+${counts
+  .map(
+    ([label, count, problem]) =>
+      `<div class="card${problem && count > 0 ? " problem" : ""}"><strong>${count}</strong>${htmlEscape(label)}</div>`,
+  )
+  .join("\n")}
+</div>
+<nav>${sections.map((section) => `<a href="#section-${section.id}">${htmlEscape(section.title)}</a>`).join("")}</nav>
+${sections.map((section) => section.html).join("\n")}
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  DEFAULT_PROFILE_URL,
+  htmlEscape,
+  generateHTML,
+};
@@ -0,0 +1,161 @@
+/**
+ * JSON-over-HTTP(S) requests with retries.
+ *
+ * Network errors, timeouts, 429 and 5xx responses are retried with
+ * exponential backoff; a Retry-After header on 429/503 takes precedence over
+ * the computed delay. Anything else fails straight away.
+ */
+
+const http = require("http");
+const https = require("https");
+const log = require("./logger.js");
+
+const DEFAULT_RETRY_OPTIONS = {
+  retries: 3,
+  baseDelay: 500,
+  maxDelay: 10000,
+  maxRetryAfter: 60000,
+  timeout: 10000,
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Error carrying enough context to decide whether to retry
+class HttpRequestError extends Error {
+  constructor(
+    message,
+    { statusCode = null, retryable = false, retryAfter = null } = {},
+  ) {
+    super(message);
+    this.name = "HttpRequestError";
+    this.statusCode = statusCode;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(header) {
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Single attempt: resolves with the parsed JSON body of a 2xx response (or
+// the body text with `raw`, e.g. for webhooks answering "ok")
+function requestOnce(
+  url,
+  { method = "GET", headers = {}, body, timeout, raw = false },
+) {
+  return new Promise((resolve, reject) => {
+    const options = { method, headers: { ...headers } };
+    if (body !== undefined) {
+      options.headers["Content-Length"] = Buffer.byteLength(body);
+    }
+
+    // Plain http is only expected for local stand-in servers
+    const transport = new URL(url).protocol === "http:" ? http : https;
+    const req = transport.request(url, options, (res) => {
+      let data = "";
+
+      res.on("data", (chunk) => {
+        data += chunk;
+      });
+
+      res.on("end", () => {
+        const { statusCode } = res;
+        if (statusCode < 200 || statusCode >= 300) {
+          reject(
+            new HttpRequestError(
+              `${statusCode} ${res.statusMessage || ""}`.trim() +
+                (data ? `: ${data.slice(0, 300)}` : ""),
+              {
+                statusCode,
+                retryable: statusCode === 429 || statusCode >= 500,
+                retryAfter: parseRetryAfter(res.headers?.["retry-after"]),
+              },
+            ),
+          );
+          return;
+        }
+
+        if (raw) {
+          resolve(data);
+          return;
+        }
+
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(
+            new HttpRequestError(`Failed to parse response: ${error.message}`, {
+              statusCode,
+            }),
+          );
+        }
+      });
+    });
+
+    req.on("error", (error) => {
+      reject(
+        new HttpRequestError(`Request failed: ${error.message}`, {
+          retryable: true,
+        }),
+      );
+    });
+
+    req.setTimeout(timeout, () => {
+      req.destroy();
+      reject(new HttpRequestError("Request timeout", { retryable: true }));
+    });
+
+    if (body !== undefined) req.write(body);
+    req.end();
+  });
+}
+
+/**
+ * Request a URL and parse the JSON response, retrying transient failures.
+ * `label` is only used in the retry log lines.
+ */
+async function requestJSON(url, options = {}) {
+  const { label = "request", ...requestOptions } = options;
+  const settings = { ...DEFAULT_RETRY_OPTIONS, ...requestOptions };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestOnce(url, settings);
+    } catch (error) {
+      if (!error.retryable || attempt >= settings.retries) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+
+      const backoff = Math.min(
+        settings.maxDelay,
+        settings.baseDelay * 2 ** attempt,
+      );
+      const delay =
+        error.retryAfter !== null
+          ? Math.min(settings.maxRetryAfter, error.retryAfter)
+          : backoff;
+
+      log.info(
+        `↻  ${label} failed (${error.message.split(":")[0]}), retrying in ${delay}ms (${attempt + 1}/${settings.retries})`,
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY_OPTIONS,
+  HttpRequestError,
+  parseRetryAfter,
+  requestJSON,
+  sleep,
+};
@@ -0,0 +1,36 @@
+/**
+ * Console output with --quiet / --verbose levels.
+ *
+ *   info   progress and report output, hidden by --quiet
+ *   debug  extra detail, only shown with --verbose
+ *   output results the user explicitly asked for (always shown)
+ *   error  always shown, on stderr
+ */
+
+const LEVELS = { quiet: 0, normal: 1, verbose: 2 };
+
+let level = LEVELS.normal;
+
+function setLevel(name) {
+  if (!(name in LEVELS)) {
+    throw new Error(`Unknown log level: ${name}`);
+  }
+  level = LEVELS[name];
+}
+
+function getLevel() {
+  return Object.keys(LEVELS).find((name) => LEVELS[name] === level);
+}
+
+module.exports = {
+  setLevel,
+  getLevel,
+  info: (...args) => {
+    if (level >= LEVELS.normal) console.log(...args);
+  },
+  debug: (...args) => {
+    if (level >= LEVELS.verbose) console.log(...args);
+  },
+  output: (...args) => console.log(...args),
+  error: (...args) => console.error(...args),
+};
@@ -0,0 +1,161 @@
+/**
+ * Matching between Sanity sponsor titles and GRID_SLUGS keys.
+ *
+ * Exact and alias matches count as the same sponsor. Titles that only match
+ * after normalization (case, whitespace, punctuation) or by similarity are
+ * reported as probable renames instead of one "missing" plus one "extra".
+ */
+
+const fs = require("fs");
+
+const DEFAULT_THRESHOLD = 0.8;
+
+// Lowercase, strip accents, whitespace and punctuation: "Pancake Swap" -> "pancakeswap"
+function normalizeName(name) {
+  return String(name || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+function bigrams(text) {
+  const grams = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const gram = text.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+// Sørensen–Dice coefficient over character bigrams of the normalized names (0..1)
+function similarity(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  let overlap = 0;
+  leftGrams.forEach((count, gram) => {
+    overlap += Math.min(count, rightGrams.get(gram) || 0);
+  });
+
+  return (2 * overlap) / (left.length - 1 + (right.length - 1));
+}
+
+/**
+ * Load an alias map from a JSON file. Each entry lists names that refer to
+ * the same sponsor, e.g. { "Unitas": "Unipay" } or { "Unitas": ["Unipay"] }.
+ * Returns a Map of normalized name -> group id.
+ */
+function loadAliases(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return new Map();
+
+  const raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  return buildAliasIndex(raw);
+}
+
+function buildAliasIndex(raw) {
+  const index = new Map();
+  Object.entries(raw || {}).forEach(([name, aliases], group) => {
+    [name, ...[].concat(aliases)].forEach((alias) => {
+      index.set(normalizeName(alias), group);
+    });
+  });
+  return index;
+}
+
+function isAlias(aliasIndex, a, b) {
+  const left = aliasIndex.get(normalizeName(a));
+  return left !== undefined && left === aliasIndex.get(normalizeName(b));
+}
+
+/**
+ * Compare Sanity titles against constants keys.
+ *
+ * Returns:
+ *   matched:         [{ title, key, reason: "exact" | "alias" }]
+ *   probableRenames: [{ title, key, reason: "normalized" | "similar", score }]
+ *   missing:         titles with no counterpart in the constants
+ *   extra:           keys with no counterpart in Sanity
+ */
+function matchSponsorTitles(allTitles, allKeys, options = {}) {
+  const { aliases = new Map(), threshold = DEFAULT_THRESHOLD } = options;
+  // A sponsor listed in several tiers or sections is still one title
+  const titles = [...new Set(allTitles)];
+  const keys = [...new Set(allKeys)];
+  const remainingTitles = new Set(titles);
+  const remainingKeys = new Set(keys);
+  const matched = [];
+  const probableRenames = [];
+
+  const pair = (list, title, key, extra) => {
+    list.push({ title, key, ...extra });
+    remainingTitles.delete(title);
+    remainingKeys.delete(key);
+  };
+
+  titles.forEach((title) => {
+    if (remainingKeys.has(title))
+      pair(matched, title, title, { reason: "exact" });
+  });
+
+  Array.from(remainingTitles).forEach((title) => {
+    const key = Array.from(remainingKeys).find((candidate) =>
+      isAlias(aliases, title, candidate),
+    );
+    if (key !== undefined) pair(matched, title, key, { reason: "alias" });
+  });
+
+  Array.from(remainingTitles).forEach((title) => {
+    const key = Array.from(remainingKeys).find(
+      (candidate) => normalizeName(candidate) === normalizeName(title),
+    );
+    if (key !== undefined) {
+      pair(probableRenames, title, key, { reason: "normalized", score: 1 });
+    }
+  });
+
+  // Pair the remaining names greedily, best score first
+  const candidates = [];
+  remainingTitles.forEach((title) => {
+    remainingKeys.forEach((key) => {
+      const score = similarity(title, key);
+      if (score >= threshold) candidates.push({ title, key, score });
+    });
+  });
+  candidates
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        a.title.localeCompare(b.title) ||
+        a.key.localeCompare(b.key),
+    )
+    .forEach(({ title, key, score }) => {
+      if (remainingTitles.has(title) && remainingKeys.has(key)) {
+        pair(probableRenames, title, key, {
+          reason: "similar",
+          score: Math.round(score * 100) / 100,
+        });
+      }
+    });
+
+  return {
+    matched,
+    probableRenames,
+    missing: titles.filter((title) => remainingTitles.has(title)),
+    extra: keys.filter((key) => remainingKeys.has(key)),
+  };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  normalizeName,
+  similarity,
+  loadAliases,
+  buildAliasIndex,
+  matchSponsorTitles,
+};
@@ -0,0 +1,14 @@
+/**
+ * Status of a constants entry's Grid lookup, shared by the reports and the
+ * run history.
+ */
+
+// "found", "lookup_failed", "slug_mismatch" or "not_found"
+function profileStatus(result) {
+  if (result.exists) return "found";
+  if (result.lookupFailed) return "lookup_failed";
+  if (result.correction) return "slug_mismatch";
+  return "not_found";
+}
+
+module.exports = { profileStatus };
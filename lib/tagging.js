@@ -0,0 +1,174 @@
+/**
+ * Grid tagging payloads for profiles that lack a configured event tag.
+ *
+ * The `tag` command builds one GraphQL mutation per profile and tag and
+ * writes them to a batch file (dry run). With --apply they are sent to the
+ * mutation endpoint one by one; a failed mutation is reported and the rest
+ * still run.
+ */
+
+const { requestJSON, sleep } = require("./http.js");
+const log = require("./logger.js");
+
+const BATCH_VERSION = 1;
+
+// Links an existing tag to a Grid profile (root)
+const TAG_MUTATION = `mutation AddProfileTag($rootId: String!, $tagId: String!) {
+  insertProfileTags(objects: [{rootId: $rootId, tagId: $tagId}]) {
+    affectedRows
+  }
+}`;
+
+// Keys paired with a Sanity title only by a probable rename (normalized or
+// fuzzy match), not by the exact title or an alias
+function probableRenameKeys(validation) {
+  return new Set(validation.probableRenames.map((rename) => rename.key));
+}
+
+/**
+ * Found profiles lacking an event tag whose key only probably matches a
+ * Sanity sponsor: not tagged automatically, listed for review instead.
+ * [{ sponsorTitle, sanityTitle, slug, profileId }]
+ */
+function listSkippedProfiles(validation) {
+  const renamed = probableRenameKeys(validation);
+  return validation.existingProfiles
+    .filter(
+      (result) =>
+        renamed.has(result.sponsorTitle) &&
+        validation.eventTags.some((eventTag) => !result.tagChecks[eventTag.id]),
+    )
+    .map((result) => ({
+      sponsorTitle: result.sponsorTitle,
+      sanityTitle: result.sanityTitle,
+      slug: result.slug,
+      profileId: result.profileId,
+    }));
+}
+
+/**
+ * One payload per found profile and configured event tag it lacks. Only
+ * keys matching a Sanity sponsor exactly or through an alias count: stale
+ * keys are not sponsors of the event, and a probable rename may point at
+ * a different company (see listSkippedProfiles). Keys sharing a profile
+ * produce a single payload.
+ */
+function buildTaggingPayloads(validation) {
+  const payloads = [];
+  const seen = new Set();
+  const renamed = probableRenameKeys(validation);
+  const sponsors = validation.existingProfiles.filter(
+    (result) =>
+      result.sanityTitle &&
+      !renamed.has(result.sponsorTitle) &&
+      !validation.extraInConstants.includes(result.sponsorTitle),
+  );
+
+  sponsors.forEach((result) => {
+    validation.eventTags.forEach((eventTag) => {
+      if (result.tagChecks[eventTag.id]) return;
+
+      const id = `${result.profileId}:${eventTag.id}`;
+      if (seen.has(id)) return;
+      seen.add(id);
+
+      payloads.push({
+        sponsorTitle: result.sponsorTitle,
+        slug: result.slug,
+        profileId: result.profileId,
+        tagId: eventTag.id,
+        tagName: eventTag.name,
+        query: TAG_MUTATION,
+        variables: { rootId: result.profileId, tagId: eventTag.id },
+      });
+    });
+  });
+
+  return payloads;
+}
+
+// The batch file written by a dry run, with the skipped profiles to review
+function createTaggingBatch(payloads, { createdAt, endpoint, skipped = [] }) {
+  return {
+    version: BATCH_VERSION,
+    createdAt,
+    endpoint,
+    mutations: payloads.map((payload) => ({
+      sponsorTitle: payload.sponsorTitle,
+      slug: payload.slug,
+      profileId: payload.profileId,
+      tag: { id: payload.tagId, name: payload.tagName },
+      query: payload.query,
+      variables: payload.variables,
+    })),
+    skipped,
+  };
+}
+
+// POST a mutation; GraphQL errors count as a failure. Never retried: the
+// insert is not idempotent, and a timeout may come after it was committed
+async function postMutation(endpoint, payload, { token, retry } = {}) {
+  const headers = {
+    "Content-Type": "application/json",
+    Accept: "application/json",
+  };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const result = await requestJSON(endpoint, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({
+      query: payload.query,
+      variables: payload.variables,
+    }),
+    label: "Tag mutation",
+    ...retry,
+    retries: 0,
+  });
+
+  if (result.errors?.length > 0) {
+    throw new Error(
+      `GraphQL error: ${result.errors.map((error) => error.message).join("; ")}`,
+    );
+  }
+  return result.data;
+}
+
+/**
+ * Send the payloads to `endpoint`, one at a time with `requestDelay` ms in
+ * between. Resolves with one { ...payload, applied, error } per payload.
+ */
+async function applyTagging(payloads, options) {
+  const { endpoint, requestDelay = 200 } = options;
+  const post = options.post || postMutation;
+  const results = [];
+
+  for (const [index, payload] of payloads.entries()) {
+    try {
+      await post(endpoint, payload, options);
+      log.info(`✅ Tagged ${payload.sponsorTitle} with ${payload.tagName}`);
+      results.push({ ...payload, applied: true, error: null });
+    } catch (error) {
+      log.error(
+        `❌ Error tagging ${payload.sponsorTitle} (${payload.profileId}):`,
+        error.message,
+      );
+      results.push({ ...payload, applied: false, error: error.message });
+    }
+
+    if (index < payloads.length - 1 && requestDelay > 0) {
+      await sleep(requestDelay);
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  TAG_MUTATION,
+  buildTaggingPayloads,
+  listSkippedProfiles,
+  createTaggingBatch,
+  postMutation,
+  applyTagging,
+};
@@ -0,0 +1,491 @@
+/**
+ * Terminal output for a validation result: the report sections, the profile
+ * table, the one-line summary and slug suggestions.
+ */
+
+const log = require("./logger.js");
+
+// Print the validation report sections to the terminal
+function printReport(validation, apiSponsors, gridConstants) {
+  const {
+    apiSponsorTitles,
+    gridKeys,
+    missingInConstants,
+    extraInConstants,
+    probableRenames,
+    aliasedMatches,
+    slugSuggestions,
+    pending,
+    gridDataResults,
+    existingProfiles,
+    missingProfiles,
+    slugMismatches,
+    lookupFailures,
+    domainMismatches,
+    eventTags,
+  } = validation;
+
+  // Generate report
+  log.info("\n" + "=".repeat(80));
+  log.info("                    SPONSOR VALIDATION REPORT");
+  log.info("=".repeat(80));
+
+  log.info(`\n📈 SUMMARY:`);
+  if (validation.tierFilter) {
+    log.info(`   Tier: ${validation.tierFilter} sponsors only`);
+  }
+  log.info(`   API Sponsors Total: ${apiSponsors.combined.length}`);
+  log.info(`   API Sponsors with titles: ${apiSponsorTitles.length}`);
+  log.info(`   Constants Grid entries: ${gridKeys.length}`);
+  log.info(`   Missing from constants: ${missingInConstants.length}`);
+  log.info(`   Extra in constants: ${extraInConstants.length}`);
+  log.info(`   Probable renames: ${probableRenames.length}`);
+  log.info(
+    `   Pending (null / commented out): ${pending.length} (${pending.filter((entry) => entry.inSanity).length} in Sanity)`,
+  );
+  log.info(`   Grid slugs checked: ${gridDataResults.length}`);
+
+  if (extraInConstants.length > 0) {
+    log.info(`\n!  CONSTANTS NOT FOUND IN API (${extraInConstants.length}):`);
+    extraInConstants.forEach((key) => {
+      const slug = gridConstants[key];
+      log.info(`   • ${key} → ${slug}`);
+    });
+  }
+
+  if (probableRenames.length > 0) {
+    log.info(`\n🔀 PROBABLE RENAMES (${probableRenames.length}):`);
+    probableRenames.forEach((rename) => {
+      log.info(
+        `   • API "${rename.title}" ↔ constants "${rename.key}" (${rename.reason}, ${Math.round(rename.score * 100)}%)`,
+      );
+    });
+  }
+
+  if (aliasedMatches.length > 0) {
+    log.info(`\n🔗 MATCHED VIA ALIAS (${aliasedMatches.length}):`);
+    aliasedMatches.forEach((match) => {
+      log.info(`   • API "${match.title}" → constants "${match.key}"`);
+    });
+  }
+
+  if (pending.length > 0) {
+    log.info(`\n⏳ PENDING CONSTANTS ENTRIES (${pending.length}):`);
+    pending.forEach((entry) => {
+      const state =
+        entry.state === "null"
+          ? "null"
+          : `commented out${entry.value ? ` ("${entry.value}")` : ""}`;
+      const sanity = entry.inSanity
+        ? `in Sanity${entry.sanityTitle !== entry.key ? ` as "${entry.sanityTitle}"` : ""}`
+        : "not in Sanity";
+      log.info(
+        `   • ${entry.key}: ${state}, ${sanity} (line ${entry.line})${entry.note ? ` - ${entry.note}` : ""}`,
+      );
+      const best = entry.suggestion?.candidates[0];
+      if (best) {
+        log.info(
+          `       suggested: ${best.slug} (${Math.round(best.confidence * 100)}%${best.domainMatch ? ", domain match" : ""}) ${best.urlMain || ""}`.trimEnd(),
+        );
+      }
+    });
+  }
+
+  if (validation.isValid) {
+    log.info("\n✅ ALL SPONSORS MATCH! No discrepancies found.");
+  }
+
+  // Show Grid data results
+
+  log.info(`\n🌐 GRID PROFILE CHECK RESULTS:`);
+  log.info(
+    `   Profiles found in Grid: ${existingProfiles.length}/${gridDataResults.length}`,
+  );
+  log.info(`   Profiles not found: ${missingProfiles.length}`);
+  log.info(`   Slugs with a probable correction: ${slugMismatches.length}`);
+  log.info(`   Lookups failed: ${lookupFailures.length}`);
+  log.info(
+    `   Website domains: ${gridDataResults.filter((result) => result.domainCheck.status === "match").length} match, ${domainMismatches.length} mismatch, ${gridDataResults.filter((result) => result.domainCheck.status === "unknown").length} unknown`,
+  );
+  eventTags.forEach((eventTag) => {
+    const count = gridDataResults.filter(
+      (result) => result.tagChecks[eventTag.id],
+    ).length;
+    log.info(
+      `   Sponsors with "${eventTag.name}" tag (${eventTag.id}): ${count}`,
+    );
+  });
+
+  // if (targetTagSponsors.length > 0) {
+  //   log.info(`\n🏷  TARGET TAG SPONSORS:`);
+  //   targetTagSponsors.forEach((sponsor) => {
+  //     log.info(
+  //       `   • ${sponsor.sponsorTitle} (${sponsor.profileSlug}) - ID: ${sponsor.profileId}`,
+  //     );
+  //   });
+  // }
+  //
+  // if (existingProfiles.length > 0) {
+  //   log.info(`\n✅ EXISTING PROFILES IN GRID:`);
+  //   existingProfiles.forEach((sponsor) => {
+  //     const tagNames = sponsor.externalTags
+  //       .map((tag) => tag.name)
+  //       .filter((name) => name !== "Unknown");
+  //     const tagIds = sponsor.externalTags.map((tag) => tag.id).slice(0, 3);
+  //     const tagSummary =
+  //       tagNames.length > 0
+  //         ? ` (${tagNames.slice(0, 3).join(", ")}${tagNames.length > 3 ? "..." : ""})`
+  //         : tagIds.length > 0
+  //           ? ` (IDs: ${tagIds.join(", ")}${sponsor.externalTags.length > 3 ? "..." : ""})`
+  //           : "";
+  //     log.info(
+  //       `   • ${sponsor.sponsorTitle} (${sponsor.profileSlug}) - Tags: ${sponsor.externalTags.length}${tagSummary}`,
+  //     );
+  //   });
+  // }
+
+  if (missingInConstants.length > 0) {
+    log.info(
+      `\n❌ SPONSORS IN API BUT MISSING FROM CONSTANTS (${missingInConstants.length}):`,
+    );
+    missingInConstants.forEach((title) => {
+      log.info(`   • ${title}`);
+    });
+
+    log.info(`\n💡 SLUG SUGGESTIONS FOR MISSING SPONSORS:`);
+    slugSuggestions.forEach((suggestion) => {
+      if (suggestion.error) {
+        log.info(`   • ${suggestion.title}: lookup failed`);
+      } else if (suggestion.candidates.length === 0) {
+        log.info(`   • ${suggestion.title}: no candidates found`);
+      } else {
+        log.info(`   • ${suggestion.title}:`);
+        suggestion.candidates.forEach((candidate) => {
+          log.info(
+            `       ${candidate.slug} (${Math.round(candidate.confidence * 100)}%${candidate.domainMatch ? ", domain match" : ""}) ${candidate.urlMain || ""}`,
+          );
+        });
+      }
+    });
+  }
+
+  if (slugMismatches.length > 0) {
+    log.info(`\n🔁 SLUG MISMATCHES (${slugMismatches.length}):`);
+    slugMismatches.forEach((sponsor) => {
+      const { correction } = sponsor;
+      log.info(
+        `   • ${sponsor.sponsorTitle} (${sponsor.slug}) → did you mean "${correction.slug}"? (${correction.matchType}, ${Math.round(correction.confidence * 100)}%) ID: ${correction.id}${correction.urlMain ? ` ${correction.urlMain}` : ""}`,
+      );
+    });
+  }
+
+  if (validation.collisions.length > 0) {
+    log.info(
+      `\n👯 DUPLICATES AND COLLISIONS (${validation.collisions.length}):`,
+    );
+    validation.collisions.forEach((collision) => {
+      log.info(`   • ${collision.message}`);
+    });
+  }
+
+  if (domainMismatches.length > 0) {
+    log.info(
+      `\n🌍 WEBSITE DOMAIN MISMATCHES (${domainMismatches.length}) - the slug may point at the wrong company:`,
+    );
+    domainMismatches.forEach((sponsor) => {
+      log.info(
+        `   • ${sponsor.sponsorTitle} (${sponsor.slug}): Sanity ${sponsor.domainCheck.sponsorDomain} ≠ Grid ${sponsor.domainCheck.gridDomain}`,
+      );
+    });
+  }
+
+  if (validation.audit) {
+    const checked = existingProfiles.filter((result) => result.completeness);
+    const average =
+      checked.length > 0
+        ? Math.round(
+            checked.reduce(
+              (sum, result) => sum + result.completeness.score,
+              0,
+            ) / checked.length,
+          )
+        : 100;
+    log.info(
+      `\n🧩 PROFILE COMPLETENESS: ${checked.length - validation.incompleteProfiles.length}/${checked.length} complete, average ${average}%`,
+    );
+    validation.incompleteProfiles.forEach((sponsor) => {
+      log.info(
+        `   • ${sponsor.sponsorTitle} (${sponsor.slug}): ${sponsor.completeness.score}%, missing ${sponsor.completeness.missing.join(", ")}`,
+      );
+    });
+  }
+
+  if (lookupFailures.length > 0) {
+    log.info(
+      `\n⚠️  LOOKUP FAILED (${lookupFailures.length}) - Grid could not be reached, these are NOT confirmed missing:`,
+    );
+    lookupFailures.forEach((sponsor) => {
+      log.info(`   • ${sponsor.sponsorTitle} (${sponsor.slug})`);
+    });
+  }
+
+  if (missingProfiles.length > 0) {
+    log.info(`\n❌ MISSING PROFILES:`);
+    missingProfiles.forEach((sponsor) => {
+      log.info(`   • ${sponsor.sponsorTitle} (${sponsor.slug})`);
+    });
+  }
+
+  log.info("\n" + "=".repeat(80));
+
+  // Show detailed breakdown by category
+  log.info(`\n📋 DETAILED BREAKDOWN:`);
+  log.info(`   Main sponsors: ${apiSponsors.sponsors.length}`);
+  log.info(`   Supporting sponsors: ${apiSponsors.supportingSponsors.length}`);
+  validation.tiers.forEach((tier) => {
+    const results = gridDataResults.filter((result) =>
+      result.tiers.includes(tier),
+    );
+    const missing = missingInConstants.filter((title) =>
+      validation.sponsorPlacements[title]?.some(
+        (placement) => placement.tier === tier,
+      ),
+    );
+    log.info(
+      `   ${tier}: ${results.length} in constants (${results.filter((result) => result.exists).length} found in Grid), ${missing.length} missing from constants`,
+    );
+  });
+
+  if (validation.multiplePlacements.length > 0) {
+    log.info(
+      `\n🔀 SPONSORS IN MORE THAN ONE TIER OR SECTION (${validation.multiplePlacements.length}):`,
+    );
+    validation.multiplePlacements.forEach((entry) => {
+      const where = entry.placements
+        .map((placement) => formatPlacement(placement))
+        .join(", ");
+      log.info(`   • ${entry.title}: ${where}`);
+    });
+  }
+
+  const sponsorsWithoutTitles = apiSponsors.combined.filter(
+    (sponsor) => !sponsor.title,
+  );
+  if (sponsorsWithoutTitles.length > 0) {
+    log.info(`\n!  SPONSORS WITHOUT TITLES (${sponsorsWithoutTitles.length}):`);
+    sponsorsWithoutTitles.forEach((sponsor, index) => {
+      log.info(`   • Sponsor ${index + 1} (key: ${sponsor._key || "N/A"})`);
+    });
+  }
+}
+
+function truncate(text, width) {
+  return text.length > width ? text.substring(0, width - 3) + "..." : text;
+}
+
+// "main (breakpoint / Sponsors)"
+function formatPlacement(placement) {
+  const location = [placement.page, placement.section]
+    .filter((part) => part)
+    .join(" / ");
+  return location ? `${placement.tier} (${location})` : placement.tier;
+}
+
+function displayTable(data) {
+  // One column per event tag, named after the tag
+  const tagHeaders = data.eventTags.map((eventTag) =>
+    eventTag.name.length > 15
+      ? eventTag.name.substring(0, 12) + "..."
+      : eventTag.name,
+  );
+  const headers = [
+    "Sponsor",
+    "Slug",
+    "Profile Exists",
+    "Profile ID",
+    "Page",
+    "Domain",
+    ...data.tiers.map((tier) => tier.charAt(0).toUpperCase() + tier.slice(1)),
+    ...tagHeaders,
+    "Tags Count",
+    ...(data.audit ? ["Complete"] : []),
+  ];
+  const colWidths = [
+    20,
+    15,
+    15,
+    12,
+    15,
+    8,
+    ...data.tiers.map(() => 10),
+    ...tagHeaders.map(() => 15),
+    12,
+    ...(data.audit ? [8] : []),
+  ];
+  const tableWidth = colWidths.reduce((sum, width) => sum + width + 3, 0);
+
+  log.info("\n📊 SPONSOR GRID PROFILE CHECK TABLE:");
+  log.info("=".repeat(tableWidth));
+
+  // Print header
+  let headerRow = "";
+  headers.forEach((header, i) => {
+    headerRow += header.padEnd(colWidths[i]) + " | ";
+  });
+  log.info(headerRow);
+  log.info("-".repeat(tableWidth));
+
+  // Print rows
+  data.gridDataResults.forEach((result) => {
+    const row = [
+      result.sponsorTitle.length > 17
+        ? result.sponsorTitle.substring(0, 17) + "..."
+        : result.sponsorTitle,
+      result.slug.length > 12
+        ? result.slug.substring(0, 12) + "..."
+        : result.slug,
+      result.exists
+        ? "✅"
+        : result.lookupFailed
+          ? "⚠️"
+          : result.correction
+            ? "🔁"
+            : "❌",
+      result.profileId ? result.profileId.substring(0, 9) + "..." : "",
+      truncate(
+        Array.from(
+          new Set(result.placements.map((placement) => placement.page)),
+        ).join(", "),
+        15,
+      ),
+      { match: "✅", mismatch: "❌", unknown: "?" }[result.domainCheck.status],
+      ...data.tiers.map((tier) =>
+        result.tiers.includes(tier)
+          ? result.multiplePlacements
+            ? "✅ (2+)"
+            : "✅"
+          : "",
+      ),
+      ...data.eventTags.map((eventTag) =>
+        result.tagChecks[eventTag.id] ? "✅" : "❌",
+      ),
+      result.externalTags.length.toString(),
+      ...(data.audit
+        ? [result.completeness ? `${result.completeness.score}%` : ""]
+        : []),
+    ];
+
+    let dataRow = "";
+    row.forEach((cell, i) => {
+      dataRow += String(cell).padEnd(colWidths[i]) + " | ";
+    });
+    log.info(dataRow);
+  });
+
+  log.info("=".repeat(tableWidth));
+}
+
+// [count, label] for every kind of problem a run can report
+function countProblems(validation) {
+  return [
+    [validation.missingInConstants.length, "missing from constants"],
+    [validation.extraInConstants.length, "extra in constants"],
+    [validation.probableRenames.length, "probable renames"],
+    [
+      validation.pending.filter((entry) => entry.inSanity).length,
+      "pending in Sanity",
+    ],
+    [validation.missingProfiles.length, "profiles not found"],
+    [validation.slugMismatches.length, "slug mismatches"],
+    [validation.lookupFailures.length, "lookups failed"],
+    [validation.domainMismatches.length, "domain mismatches"],
+    [validation.collisions.length, "duplicates/collisions"],
+    [validation.incompleteProfiles.length, "incomplete profiles"],
+  ];
+}
+
+function formatProblems(problems) {
+  const found = problems
+    .filter(([count]) => count > 0)
+    .map(([count, label]) => `${count} ${label}`);
+
+  return found.length === 0
+    ? "✅ All sponsors match"
+    : `❌ ${found.join(", ")}`;
+}
+
+// One-line result for the check command
+function summarize(validation) {
+  return formatProblems(countProblems(validation));
+}
+
+/**
+ * Combined summary for a --config run: one line per event, then the totals.
+ * `results` is [{ event, validation }], validation null when the event's
+ * run failed.
+ */
+function printEventsSummary(results) {
+  log.output(`\n📊 COMBINED SUMMARY (${results.length} events):`);
+
+  let totals = null;
+  results.forEach(({ event, validation }) => {
+    const label = `${event.name} (${event.id})`;
+    if (!validation) {
+      log.output(`   • ${label}: 💥 run failed (see the errors above)`);
+      return;
+    }
+
+    const problems = countProblems(validation);
+    log.output(`   • ${label}: ${formatProblems(problems)}`);
+    totals = totals
+      ? totals.map(([count, label], i) => [count + problems[i][0], label])
+      : problems;
+  });
+
+  const failed = results.filter((result) => !result.validation).length;
+  log.output(
+    `   Total: ${totals ? formatProblems(totals) : "no event completed"}${failed > 0 ? ` (${failed} failed)` : ""}`,
+  );
+}
+
+// Print slug candidates for sponsors missing from the constants and for
+// pending (null / commented-out) entries
+function printSuggestions(validation) {
+  const suggestions = [
+    ...validation.slugSuggestions,
+    ...validation.pending
+      .filter((entry) => entry.suggestion)
+      .map((entry) => ({
+        ...entry.suggestion,
+        title: `${entry.key} (pending${entry.inSanity ? ", in Sanity" : ""})`,
+      })),
+  ];
+
+  if (suggestions.length === 0) {
+    log.output("✅ No sponsors missing from the constants");
+    return;
+  }
+
+  suggestions.forEach((suggestion) => {
+    if (suggestion.error) {
+      log.output(`${suggestion.title}: lookup failed (${suggestion.error})`);
+    } else if (suggestion.candidates.length === 0) {
+      log.output(`${suggestion.title}: no candidates found`);
+    } else {
+      log.output(`${suggestion.title}:`);
+      suggestion.candidates.forEach((candidate) => {
+        log.output(
+          `  ${candidate.slug} (${Math.round(candidate.confidence * 100)}%${candidate.domainMatch ? ", domain match" : ""}) ${candidate.urlMain || ""}`.trimEnd(),
+        );
+      });
+    }
+  });
+}
+
+module.exports = {
+  printReport,
+  displayTable,
+  summarize,
+  printEventsSummary,
+  printSuggestions,
+};
@@ -0,0 +1,295 @@
+/**
+ * Interactive triage (the `triage` command): walks through the sponsors
+ * missing from the constants, the stale keys and the Grid profiles that
+ * were not found, one at a time, and turns the answers into a constants
+ * file update.
+ *
+ * Answers: Enter (or "a") accepts the proposal, a number picks that
+ * candidate, "s" skips, "n" marks the entry null (TBD), "q" stops and keeps
+ * the answers so far. Anything else is taken as the Grid slug to use.
+ */
+
+const readline = require("readline");
+const { DEFAULT_PROFILE_URL } = require("./html-report.js");
+
+const TBD_NOTE = "TBD (triage)";
+
+const KINDS = {
+  missing: "Missing from constants",
+  extra: "In constants, not in Sanity",
+  not_found: "Grid profile not found",
+};
+
+/**
+ * One item per discrepancy, in report order:
+ * { kind, key, placements, website, currentSlug, candidates, proposal }.
+ * `proposal` is the slug Enter accepts (for stale keys, Enter removes the
+ * key); null when there is nothing to propose.
+ */
+function buildTriageItems(validation, constantsMap = {}) {
+  const missing = validation.missingInConstants.map((title) => {
+    const suggestion = validation.slugSuggestions.find(
+      (candidate) => candidate.title === title,
+    );
+    const placements = validation.sponsorPlacements[title] || [];
+    return {
+      kind: "missing",
+      key: title,
+      placements,
+      website:
+        suggestion?.website ||
+        placements.find((placement) => placement.website)?.website ||
+        null,
+      currentSlug: null,
+      candidates: suggestion?.candidates || [],
+      proposal: suggestion?.candidates[0]?.slug || null,
+    };
+  });
+
+  const extra = validation.extraInConstants.map((key) => ({
+    kind: "extra",
+    key,
+    placements: [],
+    website: null,
+    currentSlug: constantsMap[key] ?? null,
+    candidates: [],
+    proposal: null,
+  }));
+
+  // Slug mismatches carry the second lookup's correction as the proposal.
+  // Stale keys are already listed above
+  const notFound = validation.gridDataResults
+    .filter(
+      (result) =>
+        (result.correction || (!result.exists && !result.lookupFailed)) &&
+        !validation.extraInConstants.includes(result.sponsorTitle),
+    )
+    .map((result) => ({
+      kind: "not_found",
+      key: result.sponsorTitle,
+      placements: result.placements,
+      website: result.website,
+      currentSlug: result.slug,
+      candidates: result.correction
+        ? [
+            {
+              slug: result.correction.slug,
+              matchType: result.correction.matchType,
+            },
+          ]
+        : [],
+      proposal: result.correction?.slug || null,
+    }));
+
+  return [...missing, ...extra, ...notFound];
+}
+
+function profileUrl(template, slug) {
+  return (template || DEFAULT_PROFILE_URL).replace(
+    "{slug}",
+    encodeURIComponent(slug),
+  );
+}
+
+// Context lines shown above the prompt
+function describeItem(item, { index, total, profileTemplate }) {
+  const lines = [
+    "",
+    `[${index + 1}/${total}] ${KINDS[item.kind]}: "${item.key}"`,
+  ];
+
+  if (item.placements.length > 0) {
+    const placements = item.placements
+      .map(
+        (placement) =>
+          `${placement.tier} tier, ${placement.page || "?"} / ${placement.section || "?"}`,
+      )
+      .join("; ");
+    lines.push(`   Sanity: ${placements}`);
+  }
+  if (item.website) lines.push(`   Website: ${item.website}`);
+  if (item.currentSlug) {
+    lines.push(
+      `   Current slug: "${item.currentSlug}" ${profileUrl(profileTemplate, item.currentSlug)}`,
+    );
+  }
+
+  if (item.candidates.length > 0) {
+    lines.push("   Candidates:");
+    item.candidates.forEach((candidate, i) => {
+      const details = [
+        candidate.confidence !== undefined
+          ? `${Math.round(candidate.confidence * 100)}%`
+          : null,
+        candidate.matchType ? `${candidate.matchType} match` : null,
+        candidate.domainMatch ? "domain match" : null,
+      ].filter(Boolean);
+      lines.push(
+        `     ${i + 1}. ${candidate.slug}${details.length > 0 ? ` (${details.join(", ")})` : ""} ${profileUrl(profileTemplate, candidate.slug)}`,
+      );
+    });
+  } else if (item.kind !== "extra") {
+    lines.push("   No Grid candidates found");
+  }
+
+  return lines;
+}
+
+function acceptLabel(item) {
+  if (item.kind === "extra") return "remove the key";
+  if (!item.proposal) return null;
+  return item.kind === "missing"
+    ? `add "${item.proposal}"`
+    : `use "${item.proposal}"`;
+}
+
+function promptFor(item) {
+  const accept = acceptLabel(item);
+  return `   ${accept ? `[Enter] ${accept} · ` : ""}[s]kip · [n]ull/TBD · [q]uit · or type a slug: `;
+}
+
+/**
+ * Turn one answer into a decision ({ action: "set" | "null" | "remove",
+ * slug }), "skip" or "quit". Returns { error } for answers that can't be
+ * used, so the question is asked again.
+ */
+function parseAnswer(answer, item) {
+  const text = answer.trim();
+  const command = text.toLowerCase();
+
+  if (command === "s") return "skip";
+  if (command === "q") return "quit";
+  if (command === "n") return { action: "null", slug: null };
+
+  if (command === "" || command === "a") {
+    if (item.kind === "extra") return { action: "remove", slug: null };
+    if (!item.proposal) {
+      return { error: "Nothing to accept, type a slug or choose s/n/q" };
+    }
+    return { action: "set", slug: item.proposal };
+  }
+
+  if (/^\d+$/.test(text)) {
+    const candidate = item.candidates[Number(text) - 1];
+    return candidate
+      ? { action: "set", slug: candidate.slug }
+      : { error: `No candidate ${text}` };
+  }
+  if (/\s/.test(text)) {
+    return { error: "Slugs can't contain spaces" };
+  }
+  return { action: "set", slug: text };
+}
+
+// Answers read line by line: piped input may arrive before the question
+function lineReader(input) {
+  const rl = readline.createInterface({ input, terminal: false });
+  const lines = [];
+  const waiting = [];
+  let closed = false;
+
+  rl.on("line", (line) => {
+    if (waiting.length > 0) waiting.shift()(line);
+    else lines.push(line);
+  });
+  rl.on("close", () => {
+    closed = true;
+    waiting.splice(0).forEach((resolve) => resolve(null));
+  });
+
+  return {
+    // Resolves with null once the input has ended
+    next: () =>
+      lines.length > 0
+        ? Promise.resolve(lines.shift())
+        : closed
+          ? Promise.resolve(null)
+          : new Promise((resolve) => waiting.push(resolve)),
+    close: () => rl.close(),
+  };
+}
+
+/**
+ * Ask about every item on `output`, reading answers from `input`. Resolves
+ * with { decisions: [{ item, action, slug }], quit }. The end of the input
+ * counts as "q".
+ */
+async function runTriage(items, { input, output, profileUrl } = {}) {
+  const reader = lineReader(input);
+  const write = (line) => output.write(`${line}\n`);
+  const decisions = [];
+  let quit = false;
+
+  try {
+    for (const [index, item] of items.entries()) {
+      describeItem(item, {
+        index,
+        total: items.length,
+        profileTemplate: profileUrl,
+      }).forEach(write);
+
+      let answer;
+      do {
+        output.write(promptFor(item));
+        const line = await reader.next();
+        if (line === null) {
+          write("");
+          answer = "quit";
+        } else {
+          answer = parseAnswer(line, item);
+          if (answer.error) write(`   ! ${answer.error}`);
+        }
+      } while (answer.error);
+
+      if (answer === "quit") {
+        quit = true;
+        break;
+      }
+      if (answer !== "skip") decisions.push({ item, ...answer });
+    }
+  } finally {
+    reader.close();
+  }
+
+  return { decisions, quit };
+}
+
+// rewriteGridSlugs() changes for the decisions
+function triageChanges(decisions) {
+  const changes = { add: [], update: [], flag: [], remove: [] };
+
+  decisions.forEach(({ item, action, slug }) => {
+    if (action === "remove") {
+      changes.remove.push(item.key);
+    } else if (item.kind === "missing") {
+      changes.add.push(
+        action === "null"
+          ? { key: item.key, value: null, comment: TBD_NOTE }
+          : { key: item.key, value: slug },
+      );
+    } else {
+      changes.update.push({ key: item.key, value: slug });
+      if (action === "null") {
+        changes.flag.push({ key: item.key, note: TBD_NOTE });
+      }
+    }
+  });
+
+  return changes;
+}
+
+// One line per decision, for the summary before saving
+function describeDecision({ item, action, slug }) {
+  if (action === "remove") return `- ${item.key}`;
+  const marker = item.kind === "missing" ? "+" : "~";
+  return `${marker} ${item.key}: ${action === "null" ? "null (TBD)" : `"${slug}"`}`;
+}
+
+module.exports = {
+  TBD_NOTE,
+  buildTriageItems,
+  parseAnswer,
+  runTriage,
+  triageChanges,
+  describeDecision,
+};
@@ -0,0 +1,98 @@
+/**
+ * Tiny line-based unified diff (same output shape as `diff -u` / `git diff`),
+ * used to preview constants file rewrites.
+ */
+
+function splitLines(text) {
+  const lines = text.split("\n");
+  // A trailing newline does not start another line
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+// Longest-common-subsequence walk producing " ", "-" and "+" operations
+function diffLines(oldLines, newLines) {
+  const n = oldLines.length;
+  const m = newLines.length;
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * (m + 1));
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] =
+        oldLines[i] === newLines[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      ops.push({ type: " ", line: oldLines[i], oldIndex: i++, newIndex: j++ });
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      ops.push({ type: "-", line: oldLines[i], oldIndex: i++, newIndex: j });
+    } else {
+      ops.push({ type: "+", line: newLines[j], oldIndex: i, newIndex: j++ });
+    }
+  }
+  while (i < n) {
+    ops.push({ type: "-", line: oldLines[i], oldIndex: i++, newIndex: j });
+  }
+  while (j < m) {
+    ops.push({ type: "+", line: newLines[j], oldIndex: i, newIndex: j++ });
+  }
+
+  return ops;
+}
+
+function formatRange(start, count) {
+  // Empty ranges point at the line before the change, as in GNU diff
+  const first = count === 0 ? start : start + 1;
+  return count === 1 ? `${first}` : `${first},${count}`;
+}
+
+/**
+ * Build a unified diff between two texts. Returns an empty string when the
+ * texts are identical.
+ */
+function createUnifiedDiff(oldText, newText, options = {}) {
+  const { fromFile = "a", toFile = "b", context = 3 } = options;
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+
+  const changed = ops
+    .map((op, index) => (op.type === " " ? -1 : index))
+    .filter((index) => index !== -1);
+  if (changed.length === 0) return "";
+
+  // Group changes whose context windows overlap into hunks
+  const hunks = [];
+  let current = null;
+  changed.forEach((index) => {
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length, index + context + 1);
+    if (current && start <= current.end) {
+      current.end = end;
+    } else {
+      current = { start, end };
+      hunks.push(current);
+    }
+  });
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+  hunks.forEach((hunk) => {
+    const slice = ops.slice(hunk.start, hunk.end);
+    const oldCount = slice.filter((op) => op.type !== "+").length;
+    const newCount = slice.filter((op) => op.type !== "-").length;
+    output.push(
+      `@@ -${formatRange(slice[0].oldIndex, oldCount)} +${formatRange(slice[0].newIndex, newCount)} @@`,
+    );
+    slice.forEach((op) => output.push(`${op.type}${op.line}`));
+  });
+
+  return output.join("\n") + "\n";
+}
+
+module.exports = { createUnifiedDiff };
@@ -0,0 +1,261 @@
+/**
+ * Watch mode: re-run the validation on an interval and announce new and
+ * resolved discrepancies to a Slack-compatible webhook.
+ *
+ * Every discrepancy gets a stable id ("missing:Acme", "not_found:Acme"...).
+ * The ids already announced are kept in a state file, so an issue is posted
+ * once when it appears and once when it is resolved, across restarts too.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { requestJSON, sleep } = require("./http.js");
+const log = require("./logger.js");
+
+const DEFAULT_WATCH_STATE = ".sponsor-watch.json";
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+const MIN_INTERVAL_MS = 30 * 1000;
+const STATE_VERSION = 1;
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// "90s", "15m", "1h" or a bare number of minutes; null when invalid
+function parseInterval(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([smh]?)$/.exec(String(value).trim());
+  if (!match) return null;
+  return Math.round(Number(match[1]) * UNITS[match[2] || "m"]);
+}
+
+/**
+ * The discrepancies of one run as { id, key, text }. `key` is the constants
+ * key a profile issue belongs to, so issues of keys whose Grid lookup
+ * failed can be carried over instead of being reported as resolved.
+ */
+function collectIssues(validation) {
+  const issues = [];
+  const add = (id, text, key = null) => issues.push({ id, key, text });
+
+  validation.missingInConstants.forEach((title) =>
+    add(`missing:${title}`, `*${title}* is in Sanity but not in the constants`),
+  );
+  validation.extraInConstants.forEach((key) =>
+    add(`extra:${key}`, `*${key}* is in the constants but not in Sanity`),
+  );
+  validation.probableRenames.forEach((rename) =>
+    add(
+      `rename:${rename.key}`,
+      `*${rename.key}* is probably "${rename.title}" in Sanity`,
+    ),
+  );
+  validation.pending
+    .filter((entry) => entry.inSanity)
+    .forEach((entry) =>
+      add(
+        `pending:${entry.key}`,
+        `*${entry.key}* is in Sanity but has no slug in the constants yet`,
+      ),
+    );
+  validation.missingProfiles.forEach((result) =>
+    add(
+      `not_found:${result.sponsorTitle}`,
+      `*${result.sponsorTitle}*: no Grid profile for slug \`${result.slug}\``,
+      result.sponsorTitle,
+    ),
+  );
+  validation.slugMismatches.forEach((result) =>
+    add(
+      `slug_mismatch:${result.sponsorTitle}`,
+      `*${result.sponsorTitle}*: Grid slug is probably \`${result.correction.slug}\`, not \`${result.slug}\``,
+      result.sponsorTitle,
+    ),
+  );
+  validation.domainMismatches.forEach((result) =>
+    add(
+      `domain:${result.sponsorTitle}`,
+      `*${result.sponsorTitle}*: Sanity website ${result.domainCheck.sponsorDomain} ≠ Grid ${result.domainCheck.gridDomain}`,
+      result.sponsorTitle,
+    ),
+  );
+  // Not the message: it has line numbers, which shift with unrelated edits
+  validation.collisions.forEach((collision) => {
+    const names = [...collision.keys, ...collision.titles].sort();
+    add(`collision:${collision.type}:${names.join(",")}`, collision.message);
+  });
+
+  return issues;
+}
+
+/**
+ * Compare the issues of this run with the announced ones (id -> issue).
+ * Issues of keys in `uncertainKeys` (failed lookups) are neither added nor
+ * resolved. Returns { added, resolved, issues } where `issues` is the new
+ * announced set.
+ */
+function compareIssues(announced, current, uncertainKeys = new Set()) {
+  const currentIds = new Set(current.map((issue) => issue.id));
+  const added = current.filter((issue) => !announced[issue.id]);
+
+  const resolved = [];
+  const issues = {};
+  Object.entries(announced).forEach(([id, issue]) => {
+    if (currentIds.has(id) || (issue.key && uncertainKeys.has(issue.key))) {
+      issues[id] = issue;
+    } else {
+      resolved.push({ id, ...issue });
+    }
+  });
+  added.forEach((issue) => {
+    issues[issue.id] = { key: issue.key, text: issue.text };
+  });
+
+  return { added, resolved, issues };
+}
+
+// Slack incoming-webhook message ({ text } in mrkdwn)
+function formatWebhookPayload({ added, resolved }, validation) {
+  const counts = [
+    added.length > 0 ? `${added.length} new` : null,
+    resolved.length > 0 ? `${resolved.length} resolved` : null,
+  ].filter((part) => part);
+  const lines = [`🔔 *Sponsor check*: ${counts.join(", ")}`];
+
+  if (added.length > 0) {
+    lines.push("", "*New issues*");
+    added.forEach((issue) => lines.push(`• ${issue.text}`));
+  }
+  if (resolved.length > 0) {
+    lines.push("", "*Resolved*");
+    resolved.forEach((issue) => lines.push(`• ~${issue.text}~`));
+  }
+  if (validation.lookupFailures.length > 0) {
+    lines.push(
+      "",
+      `_${validation.lookupFailures.length} Grid lookups failed this run; their issues are unchanged_`,
+    );
+  }
+  lines.push("", `_Checked at ${validation.checkedAt}_`);
+
+  return { text: lines.join("\n") };
+}
+
+function postWebhook(url, payload, retry) {
+  return requestJSON(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+    label: "Webhook",
+    raw: true,
+    ...retry,
+  });
+}
+
+function loadWatchState(statePath) {
+  if (!fs.existsSync(statePath)) return { issues: {} };
+  const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+  return { ...state, issues: state.issues || {} };
+}
+
+function saveWatchState(statePath, issues, checkedAt) {
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(
+    statePath,
+    JSON.stringify({ version: STATE_VERSION, checkedAt, issues }, null, 2) +
+      "\n",
+    "utf8",
+  );
+}
+
+/**
+ * One watch cycle: compare the validation with the state file and announce
+ * the changes. The state is only updated once the webhook accepted the
+ * message, so a failed post is retried on the next cycle.
+ *
+ *   webhookUrl  Slack-compatible incoming webhook (optional: log only)
+ *   statePath   announced issues (default ./.sponsor-watch.json)
+ *   retry       retry/timeout overrides for the webhook request
+ *   post        replacement for postWebhook(url, payload, retry)
+ *
+ * Resolves with { added, resolved, posted }.
+ */
+async function runWatchCycle(validation, options = {}) {
+  const statePath = options.statePath || DEFAULT_WATCH_STATE;
+  const post = options.post || postWebhook;
+  const state = loadWatchState(statePath);
+
+  const uncertainKeys = new Set(
+    validation.lookupFailures.map((result) => result.sponsorTitle),
+  );
+  const changes = compareIssues(
+    state.issues,
+    collectIssues(validation),
+    uncertainKeys,
+  );
+  const { added, resolved } = changes;
+
+  if (added.length === 0 && resolved.length === 0) {
+    log.info(`👀 ${validation.checkedAt}: no changes`);
+    return { added, resolved, posted: false };
+  }
+
+  log.info(
+    `🔔 ${validation.checkedAt}: ${added.length} new, ${resolved.length} resolved`,
+  );
+  added.forEach((issue) => log.info(`   + ${issue.text}`));
+  resolved.forEach((issue) => log.info(`   - ${issue.text}`));
+
+  let posted = false;
+  if (options.webhookUrl) {
+    try {
+      await post(
+        options.webhookUrl,
+        formatWebhookPayload(changes, validation),
+        options.retry,
+      );
+      posted = true;
+    } catch (error) {
+      log.error("❌ Error posting to webhook:", error.message);
+      return { added, resolved, posted };
+    }
+  }
+
+  saveWatchState(statePath, changes.issues, validation.checkedAt);
+  return { added, resolved, posted };
+}
+
+/**
+ * Run `check()` (resolving with a validation) every `intervalMs` and pass
+ * each result to runWatchCycle. A failed check is logged and skipped.
+ * `cycles` stops after that many runs (default: run until the process is
+ * stopped).
+ */
+async function watchSponsors(check, options = {}) {
+  const intervalMs = options.intervalMs || DEFAULT_INTERVAL_MS;
+  const cycles = options.cycles || Infinity;
+
+  for (let cycle = 1; cycle <= cycles; cycle++) {
+    try {
+      const validation = await check();
+      await runWatchCycle(validation, options);
+    } catch (error) {
+      log.error("❌ Watch cycle failed:", error.message);
+    }
+
+    if (cycle < cycles) {
+      await (options.sleep || sleep)(intervalMs);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_WATCH_STATE,
+  DEFAULT_INTERVAL_MS,
+  MIN_INTERVAL_MS,
+  parseInterval,
+  collectIssues,
+  compareIssues,
+  formatWebhookPayload,
+  postWebhook,
+  loadWatchState,
+  runWatchCycle,
+  watchSponsors,
+};
@@ -0,0 +1,437 @@
+const assert = require("node:assert/strict");
+const { after, before, describe, test } = require("node:test");
+
+const {
+  checkSponsors,
+  createClient,
+  fetchGridDataBatch,
+  fetchSponsors,
+  processGridProfilesWithTags,
+  ConfigError,
+  GridRequestError,
+  SanityRequestError,
+  setLogLevel,
+} = require("../check-sponsors-standalone.js");
+const {
+  startGridServer,
+  startSanityServer,
+  standInConfig,
+  sponsorPage,
+} = require("./stand-ins.js");
+
+setLogLevel("quiet");
+
+const EVENT_TAG = { id: "id1-event", name: "Breakpoint 2025" };
+const OTHER_TAG = { id: "id2-other", name: "Solana" };
+
+describe("fetchGridDataBatch", () => {
+  let sanity;
+  let grid;
+  const slugs = Array.from({ length: 120 }, (_, index) => `sponsor-${index}`);
+
+  before(async () => {
+    sanity = await startSanityServer();
+    grid = await startGridServer({
+      profiles: slugs
+        .filter((_, index) => index % 2 === 0)
+        .map((slug) => ({ id: `id-${slug}`, slug })),
+      // Second batch always fails
+      intercept: (request) =>
+        request.body.variables.slugs?.includes("sponsor-60")
+          ? { status: 503, body: { message: "unavailable" } }
+          : null,
+    });
+  });
+  after(async () => {
+    await sanity.close();
+    await grid.close();
+  });
+
+  test("looks slugs up in batches of 50", async () => {
+    const client = createClient(standInConfig(sanity, grid));
+    grid.requests.length = 0;
+
+    const { profiles } = await fetchGridDataBatch(
+      client,
+      slugs.slice(0, 50).concat(slugs.slice(100)),
+    );
+
+    assert.deepEqual(
+      grid.requests.map((request) => request.body.variables.slugs.length),
+      [50, 20],
+    );
+    assert.equal(profiles.length, 35);
+    assert.ok(grid.requests.every((request) => request.url === "/graphql"));
+  });
+
+  test("keeps going when a batch fails and reports its slugs", async () => {
+    const client = createClient(standInConfig(sanity, grid));
+    grid.requests.length = 0;
+
+    const { profiles, failedSlugs } = await fetchGridDataBatch(client, slugs);
+
+    // 3 batches, the failing one retried once
+    assert.equal(grid.requests.length, 4);
+    assert.equal(profiles.length, 35);
+    assert.equal(failedSlugs.size, 50);
+    assert.ok(failedSlugs.has("sponsor-50"));
+    assert.ok(failedSlugs.has("sponsor-99"));
+    assert.match(failedSlugs.get("sponsor-50"), /503/);
+  });
+});
+
+describe("processGridProfilesWithTags", () => {
+  const profiles = [
+    {
+      id: "p1",
+      slug: "tagged",
+      urlMain: "https://tagged.com",
+      profileTags: [
+        { id: "pt1", tagId: EVENT_TAG.id, tag: EVENT_TAG },
+        { id: "pt2", tagId: OTHER_TAG.id, tag: OTHER_TAG },
+      ],
+    },
+    {
+      id: "p2",
+      slug: "other-tag",
+      urlMain: null,
+      profileTags: [{ id: "pt3", tagId: OTHER_TAG.id, tag: OTHER_TAG }],
+    },
+    { id: "p3", slug: "untagged", urlMain: null, profileTags: [] },
+  ];
+
+  test("checks every event tag and treats the first as the target", async () => {
+    const results = await processGridProfilesWithTags(
+      profiles,
+      ["tagged", "other-tag", "untagged"],
+      [EVENT_TAG, OTHER_TAG],
+    );
+
+    assert.deepEqual(
+      results.map((result) => [result.slug, result.hasTargetTag]),
+      [
+        ["tagged", true],
+        ["other-tag", false],
+        ["untagged", false],
+      ],
+    );
+    assert.deepEqual(results[0].tagChecks, {
+      [EVENT_TAG.id]: true,
+      [OTHER_TAG.id]: true,
+    });
+    assert.deepEqual(results[1].tagChecks, {
+      [EVENT_TAG.id]: false,
+      [OTHER_TAG.id]: true,
+    });
+    assert.deepEqual(results[0].externalTags, [EVENT_TAG, OTHER_TAG]);
+  });
+
+  test("falls back to the profile tag id when the tag is not expanded", async () => {
+    const [result] = await processGridProfilesWithTags(
+      [{ id: "p4", slug: "bare", profileTags: [{ id: "pt4", tag: null }] }],
+      ["bare"],
+      [EVENT_TAG],
+    );
+
+    assert.equal(result.hasTargetTag, false);
+    assert.deepEqual(result.externalTags, [{ id: "pt4", name: "Unknown" }]);
+  });
+
+  test("separates missing profiles from failed lookups", async () => {
+    const results = await processGridProfilesWithTags(
+      profiles,
+      ["tagged", "gone", "unknown"],
+      [EVENT_TAG],
+      new Map([["unknown", "503 Service Unavailable"]]),
+    );
+
+    assert.equal(results[0].exists, true);
+    assert.equal(results[1].exists, false);
+    assert.equal(results[1].lookupFailed, undefined);
+    assert.equal(results[1].error, "Profile not found");
+    assert.equal(results[2].lookupFailed, true);
+    assert.equal(results[2].error, "Lookup failed: 503 Service Unavailable");
+  });
+});
+
+describe("validateSponsorsWithGrid", () => {
+  let sanity;
+  let grid;
+
+  before(async () => {
+    sanity = await startSanityServer({
+      pages: [
+        sponsorPage("breakpoint", {
+          sponsors: [
+            { _key: "a", title: "Acme", website: "https://acme.com" },
+            {
+              _key: "b",
+              title: "Blockworks",
+              website: "https://blockworks.co",
+            },
+          ],
+          supportingSponsors: [
+            { _key: "c", title: "Cobalt Labs" },
+            { _key: "d", title: "Delta" },
+          ],
+        }),
+      ],
+    });
+    grid = await startGridServer({
+      profiles: [
+        {
+          id: "acme-id",
+          slug: "acme",
+          urlMain: "https://acme.com",
+          tags: [EVENT_TAG],
+        },
+        {
+          id: "blockworks-id",
+          slug: "Blockworks",
+          urlMain: "https://blockworks.co",
+        },
+        { id: "cobalt-id", slug: "cobalt-labs", name: "Cobalt Labs" },
+      ],
+      tags: [EVENT_TAG],
+    });
+  });
+  after(async () => {
+    await sanity.close();
+    await grid.close();
+  });
+
+  const run = (constants, options = {}) =>
+    checkSponsors(
+      standInConfig(sanity, grid, { eventTagRefs: [EVENT_TAG.name] }),
+      { constants, now: "2025-01-01T00:00:00.000Z", ...options },
+    );
+
+  test("reports sponsors missing from the constants and stale entries", async () => {
+    const { validation } = await run({
+      Acme: "acme",
+      Blockworks: "blockworks",
+      Delta: "delta",
+      "Old Sponsor": "old-sponsor",
+    });
+
+    assert.equal(validation.isValid, false);
+    assert.deepEqual(validation.missingInConstants, ["Cobalt Labs"]);
+    assert.deepEqual(validation.extraInConstants, ["Old Sponsor"]);
+    assert.deepEqual(validation.apiSponsorTitles, [
+      "Acme",
+      "Blockworks",
+      "Cobalt Labs",
+      "Delta",
+    ]);
+    assert.equal(validation.slugSuggestions[0].title, "Cobalt Labs");
+    assert.equal(
+      validation.slugSuggestions[0].candidates[0].slug,
+      "cobalt-labs",
+    );
+  });
+
+  test("classifies Grid profiles per constants entry", async () => {
+    const { validation } = await run({
+      Acme: "acme",
+      Blockworks: "blockworks",
+      "Cobalt Labs": "cobalt-labs",
+      Delta: "delta",
+    });
+    const byKey = Object.fromEntries(
+      validation.gridDataResults.map((result) => [result.sponsorTitle, result]),
+    );
+
+    assert.equal(validation.isValid, true);
+    assert.equal(byKey.Acme.exists, true);
+    assert.equal(byKey.Acme.hasTargetTag, true);
+    assert.equal(byKey.Acme.domainCheck.status, "match");
+    assert.deepEqual(byKey.Acme.tiers, ["main"]);
+    assert.equal(byKey.Blockworks.correction.slug, "Blockworks");
+    assert.equal(byKey.Blockworks.error, "Slug mismatch");
+    assert.equal(byKey.Delta.exists, false);
+    assert.equal(byKey.Delta.error, "Profile not found");
+    assert.deepEqual(
+      validation.targetTagSponsors.map((result) => result.sponsorTitle),
+      ["Acme"],
+    );
+    assert.equal(validation.checkedAt, "2025-01-01T00:00:00.000Z");
+  });
+
+  test("matches tag names ignoring case, and literally", async () => {
+    const { validation } = await checkSponsors(
+      standInConfig(sanity, grid, { eventTagRefs: ["BREAKPOINT 2025"] }),
+      { constants: { Acme: "acme" } },
+    );
+    assert.deepEqual(validation.eventTags, [EVENT_TAG]);
+
+    await assert.rejects(
+      checkSponsors(
+        standInConfig(sanity, grid, { eventTagRefs: ["Breakpoint%"] }),
+        { constants: { Acme: "acme" } },
+      ),
+      { name: "TagNotFoundError" },
+    );
+  });
+
+  test("only validates the requested tier", async () => {
+    const { validation } = await run(
+      { Acme: "acme", "Old Sponsor": "old-sponsor" },
+      { tier: "main" },
+    );
+
+    assert.deepEqual(validation.missingInConstants, ["Blockworks"]);
+    assert.deepEqual(validation.extraInConstants, ["Old Sponsor"]);
+    assert.deepEqual(
+      validation.gridDataResults.map((result) => result.sponsorTitle),
+      ["Acme"],
+    );
+  });
+});
+
+describe("requests and failures", () => {
+  let sanity;
+  let grid;
+  let sanityIntercept = null;
+  let gridIntercept = null;
+
+  before(async () => {
+    sanity = await startSanityServer({
+      pages: [sponsorPage("breakpoint", { sponsors: [{ title: "Acme" }] })],
+      intercept: (request, index) => sanityIntercept?.(request, index),
+    });
+    grid = await startGridServer({
+      intercept: (request, index) => gridIntercept?.(request, index),
+    });
+  });
+  after(async () => {
+    await sanity.close();
+    await grid.close();
+  });
+
+  test("sends the GROQ query, parameters and token to Sanity", async () => {
+    sanityIntercept = null;
+    sanity.requests.length = 0;
+    const client = createClient(
+      standInConfig(sanity, grid, { pages: ["breakpoint"] }),
+    );
+
+    const apiSponsors = await fetchSponsors(client);
+    const url = new URL(sanity.requests[0].url, sanity.url);
+
+    assert.equal(url.pathname, "/v2025-03-04/data/query/production");
+    assert.equal(url.searchParams.get("$pages"), '["breakpoint"]');
+    assert.equal(url.searchParams.get("perspective"), "published");
+    assert.match(url.searchParams.get("query"), /slug\.current in \$pages/);
+    assert.equal(sanity.requests[0].headers.authorization, "Bearer test-token");
+    assert.deepEqual(
+      apiSponsors.placements.map((placement) => [
+        placement.title,
+        placement.tier,
+        placement.page,
+      ]),
+      [["Acme", "main", "breakpoint"]],
+    );
+  });
+
+  test("wraps Sanity failures in SanityRequestError after retrying", async () => {
+    sanityIntercept = () => ({ status: 500, body: { error: "boom" } });
+    sanity.requests.length = 0;
+    const client = createClient(standInConfig(sanity, grid));
+
+    await assert.rejects(fetchSponsors(client), (error) => {
+      assert.ok(error instanceof SanityRequestError);
+      assert.match(error.message, /500/);
+      assert.equal(error.cause.attempts, 2);
+      return true;
+    });
+    assert.equal(sanity.requests.length, 2);
+  });
+
+  test("recovers when a retry succeeds", async () => {
+    sanityIntercept = (request, index) =>
+      index === 0 ? { status: 429, headers: { "Retry-After": "0" } } : null;
+    sanity.requests.length = 0;
+    const client = createClient(standInConfig(sanity, grid));
+
+    const apiSponsors = await fetchSponsors(client);
+
+    assert.equal(sanity.requests.length, 2);
+    assert.equal(apiSponsors.sponsors.length, 1);
+  });
+
+  test("times out slow responses", async () => {
+    gridIntercept = () => ({ delay: 300 });
+    const client = createClient(
+      standInConfig(sanity, grid, {
+        retry: { retries: 0, timeout: 50 },
+      }),
+    );
+
+    await assert.rejects(client.fetchGrid("query { roots { id } }"), {
+      name: "GridRequestError",
+      message: "GraphQL request failed: Request timeout",
+    });
+  });
+
+  test("treats GraphQL errors without data as a failed request", async () => {
+    gridIntercept = () => ({
+      body: { errors: [{ message: "field 'nope' not found" }] },
+    });
+    const client = createClient(standInConfig(sanity, grid));
+
+    await assert.rejects(
+      client.fetchGrid("query { nope }"),
+      (error) =>
+        error instanceof GridRequestError &&
+        error.message === "GraphQL error: field 'nope' not found",
+    );
+  });
+
+  test("does not retry client errors", async () => {
+    gridIntercept = () => ({ status: 400, body: { message: "bad query" } });
+    grid.requests.length = 0;
+    const client = createClient(standInConfig(sanity, grid));
+
+    await assert.rejects(client.fetchGrid("query { roots { id } }"), {
+      name: "GridRequestError",
+    });
+    assert.equal(grid.requests.length, 1);
+  });
+
+  test("reports unparseable responses", async () => {
+    gridIntercept = () => ({ body: "<html>maintenance</html>" });
+    const client = createClient(standInConfig(sanity, grid));
+
+    await assert.rejects(client.fetchGrid("query { roots { id } }"), {
+      message: /Failed to parse response/,
+    });
+  });
+
+  test("a failed tag lookup is a request failure, not a missing tag", async () => {
+    sanityIntercept = null;
+    gridIntercept = (request) =>
+      /GetTagDetails/.test(request.body.query) ? { status: 503 } : null;
+
+    await assert.rejects(
+      checkSponsors(standInConfig(sanity, grid, { eventTagRefs: ["Solana"] }), {
+        constants: { Acme: "acme" },
+      }),
+      (error) =>
+        error instanceof GridRequestError &&
+        /GraphQL request failed/.test(error.message),
+    );
+    gridIntercept = null;
+  });
+
+  test("requires Sanity credentials unless a fetch function is given", () => {
+    assert.throws(
+      () => createClient({ projectId: "test" }),
+      (error) =>
+        error instanceof ConfigError &&
+        error.message === "Missing Sanity config: dataset",
+    );
+    assert.doesNotThrow(() =>
+      createClient({}, { fetchSanity: async () => ({ result: [] }) }),
+    );
+  });
+});
@@ -0,0 +1,326 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  test,
+} = require("node:test");
+
+const { EXIT_CODES } = require("../check-sponsors-standalone.js");
+const {
+  runMain,
+  startGridServer,
+  startSanityServer,
+  sponsorPage,
+} = require("./stand-ins.js");
+
+const EVENT_TAG = { id: "id1-event", name: "Breakpoint 2025" };
+
+const pages = [];
+let sanityIntercept = null;
+let sanity;
+let grid;
+let tmpDir;
+let constantsPath;
+
+before(async () => {
+  sanity = await startSanityServer({
+    pages,
+    intercept: (request, index) => sanityIntercept?.(request, index),
+  });
+  grid = await startGridServer({
+    profiles: [
+      { id: "acme-id", slug: "acme", tags: [EVENT_TAG] },
+      { id: "beta-id", slug: "beta", tags: [EVENT_TAG] },
+      { id: "newcomer-id", slug: "newcomer", name: "Newcomer" },
+    ],
+    tags: [EVENT_TAG],
+    // Lookups of "broken" fail (not retried), to simulate an unreachable Grid
+    intercept: (request) =>
+      request.body.variables.slugs?.includes("broken")
+        ? { status: 400, body: { errors: [{ message: "bad request" }] } }
+        : null,
+  });
+});
+after(async () => {
+  await sanity.close();
+  await grid.close();
+});
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "sponsor-cli-"));
+  constantsPath = path.join(tmpDir, "constants-grid.js");
+});
+afterEach(() => {
+  sanityIntercept = null;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const setSponsors = (titles) => {
+  pages.length = 0;
+  pages.push(
+    sponsorPage("breakpoint", {
+      sponsors: titles.map((title) => ({ title })),
+    }),
+  );
+};
+
+const writeConstants = (entries) =>
+  fs.writeFileSync(
+    constantsPath,
+    `const GRID_SLUGS = {\n${entries.map((entry) => `  ${entry}\n`).join("")}};\nmodule.exports = GRID_SLUGS;\n`,
+  );
+
+// Run the CLI with the constants file, no history and the report in tmpDir
+const run = (argv) =>
+  runMain(
+    [
+      ...argv,
+      "--constants",
+      constantsPath,
+      "--no-history",
+      "--out-dir",
+      tmpDir,
+    ],
+    { sanity, grid, env: { GRID_EVENT_TAGS: EVENT_TAG.id } },
+  );
+
+describe("usage", () => {
+  test("--help prints the help and exits 0", async () => {
+    const { exitCode, stdout } = await runMain(["--help"], { sanity, grid });
+
+    assert.equal(exitCode, 0);
+    assert.match(stdout, /^Usage: node check-sponsors-standalone\.js/);
+    assert.match(stdout, /^ {2}triage {4}/m);
+  });
+
+  test("an unknown command is a usage error", async () => {
+    const requests = sanity.requests.length;
+    const { exitCode, stdout, stderr } = await runMain(["launch"], {
+      sanity,
+      grid,
+    });
+
+    assert.equal(exitCode, EXIT_CODES.FAILED);
+    assert.equal(stdout, "");
+    assert.match(stderr, /❌ Unknown command "launch"/);
+    assert.match(stderr, /Usage: /);
+    assert.equal(sanity.requests.length, requests);
+  });
+
+  test("flags a command doesn't use are rejected, not ignored", async () => {
+    const rejected = [
+      [
+        ["check", "--write"],
+        /--write is only used by the report and diff commands/,
+      ],
+      [
+        ["suggest", "--dry-run"],
+        /--dry-run is only used by the report and triage commands/,
+      ],
+      [
+        ["changes", "--prune"],
+        /--prune is only used by the report and diff commands/,
+      ],
+      [["report", "--apply"], /--apply is only used by the tag command$/m],
+    ];
+
+    for (const [argv, message] of rejected) {
+      const { exitCode, stderr } = await run(argv);
+      assert.equal(exitCode, EXIT_CODES.FAILED);
+      assert.match(stderr, message);
+    }
+  });
+
+  test("a missing --config file is reported, not thrown", async () => {
+    const { exitCode, stderr } = await run([
+      "check",
+      "--config",
+      path.join(tmpDir, "missing.json"),
+    ]);
+
+    assert.equal(exitCode, EXIT_CODES.FAILED);
+    assert.match(stderr, /Could not read config .*missing\.json/);
+  });
+});
+
+test("the developer's .env files and settings don't reach the run", async (t) => {
+  setSponsors(["Acme"]);
+  writeConstants(['Acme: "acme",']);
+  const perspective = process.env.SANITY_PERSPECTIVE;
+  t.after(() => {
+    if (perspective === undefined) delete process.env.SANITY_PERSPECTIVE;
+    else process.env.SANITY_PERSPECTIVE = perspective;
+  });
+  process.env.SANITY_PERSPECTIVE = "raw";
+
+  const { exitCode, stdout } = await run(["check"]);
+
+  assert.equal(exitCode, EXIT_CODES.OK);
+  assert.match(stdout, /^🔧 Settings from process\.env$/m);
+  assert.match(sanity.requests.at(-1).url, /perspective=published/);
+});
+
+describe("check exit codes", () => {
+  test("0 when everything matches", async () => {
+    setSponsors(["Acme", "Beta"]);
+    writeConstants(['Acme: "acme",', 'Beta: "beta",']);
+
+    const { exitCode, stdout, stderr } = await run(["check", "-q"]);
+
+    assert.equal(exitCode, EXIT_CODES.OK);
+    assert.equal(stdout, "✅ All sponsors match");
+    assert.equal(stderr, "");
+  });
+
+  test("1 for discrepancies", async () => {
+    setSponsors(["Acme", "Newcomer"]);
+    writeConstants(['Acme: "acme",', 'Gone: "gone",']);
+
+    const { exitCode, stdout } = await run(["check", "-q"]);
+
+    assert.equal(exitCode, EXIT_CODES.DISCREPANCIES);
+    assert.match(stdout, /1 missing from constants, 1 extra in constants/);
+  });
+
+  test("2 when Grid lookups failed, over discrepancies", async () => {
+    setSponsors(["Acme", "Broken", "Newcomer"]);
+    writeConstants(['Acme: "acme",', 'Broken: "broken",']);
+
+    const { exitCode } = await run(["check", "-q"]);
+
+    assert.equal(exitCode, EXIT_CODES.LOOKUP_FAILED);
+  });
+
+  test("4 when the run fails, not 1 like discrepancies", async () => {
+    setSponsors(["Acme"]);
+    writeConstants(['Acme: "acme",']);
+    sanityIntercept = () => ({ status: 401, body: { error: "Unauthorized" } });
+
+    const { exitCode, stdout, stderr } = await run(["check", "-q"]);
+
+    assert.equal(exitCode, EXIT_CODES.FAILED);
+    assert.equal(stdout, "");
+    assert.match(stderr, /401/);
+  });
+
+  test("3 for collisions", async () => {
+    setSponsors(["Acme"]);
+    writeConstants(['Acme: "acme",', '"Acme Inc": "acme",']);
+
+    const { exitCode } = await run(["check", "-q"]);
+
+    assert.equal(exitCode, EXIT_CODES.COLLISIONS);
+  });
+});
+
+describe("commands", () => {
+  beforeEach(() => {
+    setSponsors(["Acme", "Newcomer"]);
+    writeConstants(['Acme: "acme",']);
+  });
+
+  test("report --dry-run prints the update and leaves the file alone", async () => {
+    const original = fs.readFileSync(constantsPath, "utf8");
+
+    const { exitCode, stdout } = await run(["report", "--dry-run"]);
+
+    assert.equal(exitCode, EXIT_CODES.DISCREPANCIES);
+    assert.match(stdout, /📝 Proposed changes to constants-grid\.js/);
+    assert.match(stdout, /^\+ {2}Newcomer: null, \/\/ missing Grid slug/m);
+    assert.equal(fs.readFileSync(constantsPath, "utf8"), original);
+    assert.equal(
+      fs.readdirSync(tmpDir).filter((file) => file.endsWith(".csv")).length,
+      1,
+    );
+  });
+
+  test("report --write updates the constants file", async () => {
+    const { exitCode, stdout } = await run(["report", "--write", "-q"]);
+
+    assert.equal(exitCode, EXIT_CODES.DISCREPANCIES);
+    assert.match(stdout, /❌ 1 missing from constants$/);
+    assert.match(
+      fs.readFileSync(constantsPath, "utf8"),
+      /^ {2}Acme: "acme",\n {2}Newcomer: null, \/\/ missing Grid slug \(new sponsor\), suggested "newcomer" \(\d+%\)\n\};/m,
+    );
+  });
+
+  test("diff prints the update, diff --write applies it", async () => {
+    const preview = await run(["diff", "-q"]);
+    assert.match(preview.stdout, /^--- a\/constants-grid\.js$/m);
+    assert.doesNotMatch(fs.readFileSync(constantsPath, "utf8"), /Newcomer/);
+
+    await run(["diff", "--write", "-q"]);
+    assert.match(fs.readFileSync(constantsPath, "utf8"), /Newcomer: null/);
+  });
+
+  test("suggest lists the candidates", async () => {
+    const { stdout } = await run(["suggest", "-q"]);
+
+    assert.match(stdout, /^Newcomer:$/m);
+    assert.match(stdout, /newcomer/);
+  });
+
+  test("history reads local snapshots only", async () => {
+    const { exitCode, stdout } = await runMain(
+      ["history", "--history-dir", tmpDir],
+      { sanity, grid },
+    );
+
+    assert.equal(exitCode, 0);
+    assert.equal(stdout, `No snapshots in ${tmpDir}`);
+  });
+});
+
+describe("record and replay", () => {
+  beforeEach(() => {
+    setSponsors(["Acme", "Newcomer"]);
+    writeConstants(['Acme: "acme",', 'Gone: "gone",']);
+  });
+
+  for (const format of ["csv", "json", "html"]) {
+    test(`a replayed run writes the same ${format} report byte for byte`, async () => {
+      const fixtures = path.join(tmpDir, "fixtures");
+      const recorded = path.join(tmpDir, "recorded");
+      const replayed = path.join(tmpDir, "replayed");
+
+      const live = await run([
+        "report",
+        "-q",
+        "--format",
+        format,
+        "--record",
+        fixtures,
+        "--out",
+        path.join(recorded, `report.${format}`),
+      ]);
+      const requests = sanity.requests.length + grid.requests.length;
+      const replay = await run([
+        "report",
+        "-q",
+        "--format",
+        format,
+        "--replay",
+        fixtures,
+        "--out",
+        path.join(replayed, `report.${format}`),
+      ]);
+
+      assert.equal(replay.exitCode, live.exitCode);
+      assert.equal(replay.stdout, live.stdout);
+      // Nothing was requested during the replay
+      assert.equal(sanity.requests.length + grid.requests.length, requests);
+      assert.ok(
+        fs
+          .readFileSync(path.join(replayed, `report.${format}`))
+          .equals(fs.readFileSync(path.join(recorded, `report.${format}`))),
+      );
+    });
+  }
+});
@@ -0,0 +1,44 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const { findCollisions } = require("../lib/collisions.js");
+
+const placement = (title, tier, section = "Sponsors") => ({
+  title,
+  tier,
+  page: "breakpoint",
+  section,
+});
+
+test("one sponsor spelled differently is a duplicate title, anywhere", () => {
+  const collisions = findCollisions({
+    placements: [
+      placement("Acme", "main"),
+      placement("ACME.", "supporting", "Partners"),
+      placement("Beta", "main"),
+    ],
+  });
+
+  assert.deepEqual(collisions, [
+    {
+      type: "duplicate_title",
+      message:
+        'Sanity spells one sponsor 2 ways ("Acme" in main/breakpoint/Sponsors, "ACME." in supporting/breakpoint/Partners)',
+      keys: [],
+      titles: ["Acme", "ACME."],
+    },
+  ]);
+});
+
+test("the same spelling in several tiers or sections is not a collision", () => {
+  const collisions = findCollisions({
+    placements: [
+      placement("Acme", "main"),
+      placement("Acme", "main"),
+      placement("Acme", "supporting"),
+      placement("Acme", "main", "Partners"),
+    ],
+  });
+
+  assert.deepEqual(collisions, []);
+});
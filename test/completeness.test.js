@@ -0,0 +1,152 @@
+const assert = require("node:assert/strict");
+const { after, before, describe, test } = require("node:test");
+
+const {
+  checkSponsors,
+  generateCSV,
+  generateJSON,
+  setLogLevel,
+} = require("../check-sponsors-standalone.js");
+const { PROFILE_FIELDS, auditProfile } = require("../lib/completeness.js");
+const {
+  startGridServer,
+  startSanityServer,
+  standInConfig,
+  sponsorPage,
+} = require("./stand-ins.js");
+
+setLogLevel("quiet");
+
+test("auditProfile scores the filled-in fields", () => {
+  const complete = auditProfile({
+    urlMain: "https://acme.com",
+    profileInfos: [
+      {
+        name: "Acme",
+        logo: "https://cdn/acme.svg",
+        descriptionShort: "Rockets",
+        descriptionLong: "Rockets and more",
+      },
+    ],
+    products: [{ id: "1" }],
+    socials: [{ id: "2" }],
+  });
+  assert.deepEqual(complete, {
+    score: 100,
+    present: PROFILE_FIELDS.map((field) => field.name),
+    missing: [],
+  });
+
+  const sparse = auditProfile({
+    urlMain: "",
+    profileInfos: [{ name: "Acme", descriptionShort: "  " }],
+    products: [],
+  });
+  assert.deepEqual(sparse.present, ["name"]);
+  assert.deepEqual(sparse.missing, [
+    "logo",
+    "descriptionShort",
+    "descriptionLong",
+    "urlMain",
+    "products",
+    "socials",
+  ]);
+  assert.equal(sparse.score, 14);
+});
+
+describe("--audit", () => {
+  let sanity;
+  let grid;
+
+  before(async () => {
+    sanity = await startSanityServer({
+      pages: [
+        sponsorPage("breakpoint", {
+          sponsors: [{ title: "Acme" }, { title: "Bare" }],
+        }),
+      ],
+    });
+    grid = await startGridServer({
+      profiles: [
+        {
+          id: "acme-id",
+          slug: "acme",
+          name: "Acme",
+          urlMain: "https://acme.com",
+          logo: "https://cdn/acme.svg",
+          descriptionShort: "Rockets",
+          descriptionLong: "Rockets and more",
+          products: ["Rocket"],
+          socials: ["https://x.com/acme"],
+        },
+        { id: "bare-id", slug: "bare", name: "Bare", products: ["Thing"] },
+      ],
+    });
+  });
+  after(async () => {
+    await sanity.close();
+    await grid.close();
+  });
+
+  const run = (audit) =>
+    checkSponsors(
+      standInConfig(sanity, grid, { eventTagRefs: ["id1-event"], audit }),
+      { constants: { Acme: "acme", Bare: "bare" } },
+    );
+
+  test("only asks for the extra fields when auditing", async () => {
+    grid.requests.length = 0;
+    const { validation } = await run(false);
+
+    const batch = grid.requests.find((request) =>
+      request.body.query.includes("BatchProfiles"),
+    );
+    assert.doesNotMatch(batch.body.query, /descriptionLong/);
+    assert.equal(validation.audit, false);
+    assert.deepEqual(validation.incompleteProfiles, []);
+    assert.doesNotMatch(generateCSV(validation), /Missing Fields/);
+  });
+
+  test("lists the missing fields per profile", async () => {
+    grid.requests.length = 0;
+    const { validation } = await run(true);
+
+    const batch = grid.requests.find((request) =>
+      request.body.query.includes("BatchProfiles"),
+    );
+    assert.match(batch.body.query, /descriptionLong/);
+    assert.match(batch.body.query, /products \{/);
+
+    const byKey = Object.fromEntries(
+      validation.gridDataResults.map((result) => [result.sponsorTitle, result]),
+    );
+    assert.equal(byKey.Acme.completeness.score, 100);
+    assert.deepEqual(byKey.Bare.completeness.missing, [
+      "logo",
+      "descriptionShort",
+      "descriptionLong",
+      "urlMain",
+      "socials",
+    ]);
+    assert.deepEqual(
+      validation.incompleteProfiles.map((result) => result.sponsorTitle),
+      ["Bare"],
+    );
+
+    const [headers, ...rows] = generateCSV(validation).split("\n");
+    assert.ok(headers.endsWith(",Completeness,Missing Fields"));
+    const bareRow = rows.find((row) => row.startsWith('"Bare"'));
+    assert.ok(
+      bareRow.endsWith(
+        ',29%,"logo; descriptionShort; descriptionLong; urlMain; socials"',
+      ),
+    );
+
+    const report = JSON.parse(generateJSON(validation));
+    assert.equal(report.summary.incompleteProfiles, 1);
+    assert.deepEqual(report.profiles[0].completeness, {
+      score: 100,
+      missing: [],
+    });
+  });
+});
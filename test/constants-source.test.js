@@ -0,0 +1,112 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { test } = require("node:test");
+
+const {
+  EXIT_CODES,
+  parseGridSlugs,
+} = require("../check-sponsors-standalone.js");
+const { rewriteGridSlugs } = require("../lib/constants-source.js");
+const { matchSponsorTitles } = require("../lib/matching.js");
+const {
+  runMain,
+  startGridServer,
+  startSanityServer,
+} = require("./stand-ins.js");
+
+const SOURCE = `const GRID_SLUGS = {
+  Bar: "bar",
+};
+`;
+
+test("a title listed in several tiers is missing once", () => {
+  const { missing, extra } = matchSponsorTitles(["Foo", "Foo", "Bar"], ["Bar"]);
+
+  assert.deepEqual(missing, ["Foo"]);
+  assert.deepEqual(extra, []);
+});
+
+test("rewriteGridSlugs adds each new key once", () => {
+  const constants = { source: SOURCE, ...parseGridSlugs(SOURCE) };
+
+  const updated = rewriteGridSlugs(constants, {
+    add: [
+      { key: "Foo", value: null, comment: "missing Grid slug" },
+      { key: "Foo", value: null, comment: "missing Grid slug" },
+      { key: "Bar", value: "other" },
+    ],
+  });
+
+  assert.equal(
+    updated,
+    `const GRID_SLUGS = {
+  Bar: "bar",
+  Foo: null, // missing Grid slug
+};
+`,
+  );
+});
+
+test("a --constants file that can't be parsed fails the run", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sponsor-constants-"));
+  const broken = path.join(dir, "constants-grid.ts");
+  fs.writeFileSync(broken, "export const GRID_SLUGS = loadSlugs();\n");
+  const sanity = await startSanityServer({ pages: [] });
+  const grid = await startGridServer();
+
+  try {
+    const { exitCode, stdout, stderr } = await runMain(
+      ["check", "--constants", broken, "--no-history"],
+      { sanity, grid },
+    );
+
+    assert.equal(exitCode, EXIT_CODES.FAILED);
+    assert.match(stderr, /Error loading constants:.*constants-grid\.ts/);
+    // Not checked against the local constants-grid.js instead
+    assert.doesNotMatch(stdout, /Falling back/);
+    assert.equal(sanity.requests.length, 0);
+  } finally {
+    await sanity.close();
+    await grid.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("rewriteGridSlugs removes the last entry while adding one", () => {
+  const source = 'const GRID_SLUGS = {\n  A: "a",\n  B: "b"\n};\n';
+
+  const updated = rewriteGridSlugs(
+    { source, ...parseGridSlugs(source) },
+    { remove: ["B"], add: [{ key: "C", value: null }] },
+  );
+
+  assert.equal(updated, 'const GRID_SLUGS = {\n  A: "a",\n  C: null,\n};\n');
+});
+
+test("rewriteGridSlugs doesn't add a key that an entry is renamed to", () => {
+  const source = 'const GRID_SLUGS = {\n  Old: "bar",\n};\n';
+
+  const updated = rewriteGridSlugs(
+    { source, ...parseGridSlugs(source) },
+    {
+      rename: [{ from: "Old", to: "New" }],
+      add: [{ key: "New", value: null }],
+    },
+  );
+
+  assert.equal(updated, 'const GRID_SLUGS = {\n  New: "bar",\n};\n');
+});
+
+test("rewriteGridSlugs keeps the closing brace out of a flag comment", () => {
+  const source = 'const GRID_SLUGS = { A: "a" };\n';
+
+  const updated = rewriteGridSlugs(
+    { source, ...parseGridSlugs(source) },
+    { flag: [{ key: "A", note: "STALE" }] },
+  );
+
+  assert.equal(updated, 'const GRID_SLUGS = { A: "a" // STALE\n };\n');
+  assert.equal(parseGridSlugs(updated).entries[0].comment, "STALE");
+});
@@ -0,0 +1,176 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, before, describe, test } = require("node:test");
+
+const {
+  checkSponsors,
+  createClient,
+  ConfigError,
+  setLogLevel,
+} = require("../check-sponsors-standalone.js");
+const {
+  loadEnv,
+  maskSecret,
+  maskSecrets,
+  parseDotenv,
+} = require("../lib/env.js");
+const {
+  startGridServer,
+  startSanityServer,
+  standInConfig,
+  sponsorPage,
+} = require("./stand-ins.js");
+
+setLogLevel("quiet");
+
+test("parseDotenv handles export, quotes, comments and empty values", () => {
+  const values = parseDotenv(
+    [
+      "# Sanity",
+      "export NEXT_PUBLIC_SANITY_PROJECT_ID=a4237xbr",
+      "NEXT_PUBLIC_SANITY_DATASET = production   # trailing comment",
+      'SANITY_API_READ_TOKEN="sk#abc=def"',
+      "SINGLE='single # not a comment'",
+      "LITERAL='keep \\n as is'",
+      'ESCAPED="line one\\nline two \\"quoted\\""',
+      'MULTILINE="first',
+      'second"',
+      "BACKTICK=`has 'single' and \"double\"`",
+      "EMPTY=",
+      "not a setting",
+      "WINDOWS=crlf\r",
+    ].join("\n"),
+  );
+
+  assert.deepEqual(values, {
+    NEXT_PUBLIC_SANITY_PROJECT_ID: "a4237xbr",
+    NEXT_PUBLIC_SANITY_DATASET: "production",
+    SANITY_API_READ_TOKEN: "sk#abc=def",
+    SINGLE: "single # not a comment",
+    LITERAL: "keep \\n as is",
+    ESCAPED: 'line one\nline two "quoted"',
+    MULTILINE: "first\nsecond",
+    BACKTICK: "has 'single' and \"double\"",
+    EMPTY: "",
+    WINDOWS: "crlf",
+  });
+});
+
+describe("loadEnv", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "sponsor-env-"));
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("process.env wins over .env.local, which wins over .env", () => {
+    fs.writeFileSync(
+      path.join(dir, ".env"),
+      "NEXT_PUBLIC_SANITY_DATASET=production\nSANITY_PERSPECTIVE=published\nGRID_EVENT_TAGS=from-env\n",
+    );
+    fs.writeFileSync(
+      path.join(dir, ".env.local"),
+      "SANITY_PERSPECTIVE=drafts\nGRID_EVENT_TAGS=from-local\n",
+    );
+
+    const { values, sources, files } = loadEnv(dir, {
+      env: { GRID_EVENT_TAGS: "from-process", SANITY_API_URL: "" },
+    });
+
+    assert.equal(values.NEXT_PUBLIC_SANITY_DATASET, "production");
+    assert.equal(values.SANITY_PERSPECTIVE, "drafts");
+    assert.equal(values.GRID_EVENT_TAGS, "from-process");
+    assert.equal(values.SANITY_API_URL, undefined);
+    assert.deepEqual(sources, {
+      NEXT_PUBLIC_SANITY_DATASET: ".env",
+      SANITY_PERSPECTIVE: ".env.local",
+      GRID_EVENT_TAGS: "process.env",
+    });
+    assert.deepEqual(files, [
+      path.join(dir, ".env"),
+      path.join(dir, ".env.local"),
+    ]);
+  });
+
+  test("both files are optional", () => {
+    const empty = fs.mkdtempSync(path.join(dir, "empty-"));
+
+    assert.deepEqual(
+      loadEnv(empty, { env: { NEXT_PUBLIC_SANITY_DATASET: "production" } }),
+      {
+        values: { NEXT_PUBLIC_SANITY_DATASET: "production" },
+        sources: { NEXT_PUBLIC_SANITY_DATASET: "process.env" },
+        files: [],
+      },
+    );
+  });
+});
+
+test("secrets are masked, other settings are not", () => {
+  assert.equal(maskSecret("skAbCdEfGhIjKlMnOp1234"), "********1234");
+  assert.equal(maskSecret("short"), "********");
+
+  assert.deepEqual(
+    maskSecrets({
+      projectId: "a4237xbr",
+      token: "skAbCdEfGhIjKlMnOp1234",
+      gridToken: "grid-secret",
+      webhookUrl: "https://hooks.slack.com/services/T000/B000/XXXXXXXX",
+      gridEndpoint: "https://beta.node.thegrid.id/graphql",
+      pages: ["breakpoint"],
+    }),
+    {
+      projectId: "a4237xbr",
+      token: "********1234",
+      gridToken: "********",
+      webhookUrl: "********XXXX",
+      gridEndpoint: "https://beta.node.thegrid.id/graphql",
+      pages: ["breakpoint"],
+    },
+  );
+});
+
+describe("anonymous mode", () => {
+  let sanity;
+  let grid;
+
+  before(async () => {
+    sanity = await startSanityServer({
+      pages: [sponsorPage("breakpoint", { sponsors: [{ title: "Acme" }] })],
+    });
+    grid = await startGridServer({
+      profiles: [{ id: "acme-id", slug: "acme" }],
+    });
+  });
+  after(async () => {
+    await sanity.close();
+    await grid.close();
+  });
+
+  test("reads published data without a token", async () => {
+    const { validation } = await checkSponsors(
+      standInConfig(sanity, grid, { token: undefined }),
+      { constants: { Acme: "acme" } },
+    );
+
+    assert.equal(validation.isValid, true);
+    assert.equal(sanity.requests[0].headers.authorization, undefined);
+  });
+
+  test("still needs a token for drafts", () => {
+    assert.throws(
+      () =>
+        createClient(
+          standInConfig(sanity, grid, {
+            token: undefined,
+            perspective: "drafts",
+          }),
+        ),
+      (error) =>
+        error instanceof ConfigError && /token.*not drafts/.test(error.message),
+    );
+  });
+});
@@ -0,0 +1,395 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, before, describe, test } = require("node:test");
+
+const {
+  checkSponsors,
+  loadGridConstants,
+  ConfigError,
+  EXIT_CODES,
+  setLogLevel,
+} = require("../check-sponsors-standalone.js");
+const { parseCliArgs, UsageError } = require("../lib/cli.js");
+const {
+  eventConfig,
+  loadEventsConfig,
+  selectEvents,
+} = require("../lib/events-config.js");
+const { printEventsSummary } = require("../lib/terminal-report.js");
+const {
+  startGridServer,
+  startSanityServer,
+  standInConfig,
+  sponsorPage,
+  runMain,
+} = require("./stand-ins.js");
+
+setLogLevel("quiet");
+
+const BREAKPOINT_TAG = { id: "id1-breakpoint", name: "Breakpoint 2025" };
+const ACCELERATE_TAG = { id: "id2-accelerate", name: "Accelerate" };
+
+let tmpDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "sponsor-events-"));
+});
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function writeConfig(contents, name = "events.json") {
+  const file = path.join(tmpDir, name);
+  fs.writeFileSync(
+    file,
+    typeof contents === "string" ? contents : JSON.stringify(contents),
+  );
+  return file;
+}
+
+test("the example config only names files that exist", () => {
+  const { events } = loadEventsConfig(
+    path.join(__dirname, "..", "sponsor-events.example.json"),
+  );
+
+  events.forEach((event) => {
+    assert.ok(fs.existsSync(event.constants), event.constants);
+    loadGridConstants(event.constants);
+  });
+});
+
+describe("loadEventsConfig", () => {
+  test("applies the defaults and resolves paths from the config file", () => {
+    const { events } = loadEventsConfig(
+      writeConfig({
+        defaults: { projectId: "abc", dataset: "production" },
+        events: {
+          "breakpoint-2025": {
+            name: "Breakpoint 2025",
+            constants: "./constants-breakpoint.js",
+            tags: [BREAKPOINT_TAG.id],
+          },
+          accelerate: { dataset: "accelerate", pages: ["accelerate"] },
+        },
+      }),
+    );
+
+    assert.deepEqual(
+      events.map((event) => [event.id, event.name, event.dataset]),
+      [
+        ["breakpoint-2025", "Breakpoint 2025", "production"],
+        ["accelerate", "accelerate", "accelerate"],
+      ],
+    );
+    assert.equal(events[0].projectId, "abc");
+    assert.equal(
+      events[0].constants,
+      path.join(tmpDir, "constants-breakpoint.js"),
+    );
+    assert.deepEqual(events[1].pages, ["accelerate"]);
+  });
+
+  test("rejects invalid files with a ConfigError", () => {
+    const invalid = [
+      ["{ not json", /Could not read config/],
+      [{ events: {} }, /defines no events/],
+      [{ events: { a: { token: "secret" } } }, /unknown setting "token"/],
+      [
+        { events: { a: { pages: "breakpoint" } } },
+        /"pages" must be a string\[\]/,
+      ],
+      [{ events: { "../up": {} } }, /may only contain/],
+      [{ defaults: [], events: { a: {} } }, /defaults must be an object/],
+    ];
+
+    invalid.forEach(([contents, message]) =>
+      assert.throws(
+        () => loadEventsConfig(writeConfig(contents, "invalid.json")),
+        (error) => error instanceof ConfigError && message.test(error.message),
+      ),
+    );
+    assert.throws(
+      () => loadEventsConfig(path.join(tmpDir, "missing.json")),
+      ConfigError,
+    );
+  });
+});
+
+test("selectEvents picks events by id and rejects unknown ones", () => {
+  const events = [{ id: "a" }, { id: "b" }, { id: "c" }];
+
+  assert.equal(selectEvents(events), events);
+  assert.deepEqual(selectEvents(events, ["c", "a"]), [
+    { id: "c" },
+    { id: "a" },
+  ]);
+  assert.throws(
+    () => selectEvents(events, ["d"]),
+    /Unknown event "d" \(configured: a, b, c\)/,
+  );
+});
+
+describe("eventConfig", () => {
+  const base = {
+    projectId: "env-project",
+    dataset: "production",
+    token: "env-token",
+    perspective: "published",
+    pages: [],
+    eventTagRefs: ["env-tag"],
+    historyDir: "/history",
+    recordDir: null,
+    replayDir: "/fixtures",
+  };
+
+  test("event settings win over .env, explicit flags win over both", () => {
+    const config = eventConfig(
+      {
+        id: "accelerate",
+        name: "Accelerate",
+        dataset: "accelerate",
+        pages: ["accelerate"],
+        tags: [ACCELERATE_TAG.id],
+        perspective: "drafts",
+      },
+      { base, overrides: { perspective: "raw" } },
+    );
+
+    assert.equal(config.projectId, "env-project");
+    assert.equal(config.dataset, "accelerate");
+    assert.equal(config.token, "env-token");
+    assert.equal(config.perspective, "raw");
+    assert.deepEqual(config.pages, ["accelerate"]);
+    assert.deepEqual(config.eventTagRefs, [ACCELERATE_TAG.id]);
+    assert.equal(config.eventId, "accelerate");
+    assert.equal(config.eventName, "Accelerate");
+    assert.equal(config.historyDir, path.join("/history", "accelerate"));
+    assert.equal(config.recordDir, null);
+    assert.equal(config.replayDir, path.join("/fixtures", "accelerate"));
+  });
+
+  test("reads the token from the variable named by tokenEnv", () => {
+    const event = { id: "a", name: "a", tokenEnv: "A_TOKEN" };
+
+    assert.equal(
+      eventConfig(event, { base, env: { A_TOKEN: "a-token" } }).token,
+      "a-token",
+    );
+    assert.throws(
+      () => eventConfig(event, { base, env: {} }),
+      /Event "a": A_TOKEN is not set/,
+    );
+  });
+});
+
+test("--event needs --config, and --config is not for watch or history", () => {
+  assert.throws(() => parseCliArgs(["--event", "a"]), UsageError);
+  assert.throws(
+    () => parseCliArgs(["watch", "--config", "events.json"]),
+    /--config cannot be used with the watch command/,
+  );
+  assert.deepEqual(
+    parseCliArgs(["check", "--config", "events.json", "--event", "a"]).options
+      .event,
+    ["a"],
+  );
+});
+
+describe("two events in one run", () => {
+  let sanity;
+  let grid;
+
+  before(async () => {
+    // One dataset per event, named in the query URL
+    const datasets = {
+      breakpoint: [
+        sponsorPage("breakpoint", { sponsors: [{ title: "Acme" }] }),
+      ],
+      accelerate: [
+        sponsorPage("accelerate", {
+          sponsors: [{ title: "Acme" }, { title: "Beta" }],
+        }),
+      ],
+    };
+    sanity = await startSanityServer({
+      intercept: (request) => {
+        const dataset = new URL(request.url, sanity.url).pathname
+          .split("/")
+          .pop();
+        return { body: { result: datasets[dataset] || [] } };
+      },
+    });
+    grid = await startGridServer({
+      profiles: [
+        { id: "acme-id", slug: "acme", tags: [BREAKPOINT_TAG] },
+        { id: "beta-id", slug: "beta", tags: [ACCELERATE_TAG] },
+      ],
+      tags: [BREAKPOINT_TAG, ACCELERATE_TAG],
+    });
+
+    fs.writeFileSync(
+      path.join(tmpDir, "constants-breakpoint.js"),
+      'const GRID_SLUGS = {\n  Acme: "acme",\n};\n',
+    );
+    fs.writeFileSync(
+      path.join(tmpDir, "constants-accelerate.js"),
+      'const GRID_SLUGS = {\n  Acme: "acme",\n  Gone: "gone",\n};\n',
+    );
+    fs.writeFileSync(
+      path.join(tmpDir, "constants-shared.js"),
+      'const GRID_SLUGS = {\n  Acme: "acme",\n  "Acme Inc": "acme",\n};\n',
+    );
+  });
+  after(async () => {
+    await sanity.close();
+    await grid.close();
+  });
+
+  test("validates each event with its own dataset, constants and tags", async (t) => {
+    const { events } = loadEventsConfig(
+      writeConfig({
+        events: {
+          "breakpoint-2025": {
+            name: "Breakpoint 2025",
+            dataset: "breakpoint",
+            constants: "./constants-breakpoint.js",
+            tags: [BREAKPOINT_TAG.id],
+          },
+          accelerate: {
+            name: "Accelerate",
+            dataset: "accelerate",
+            constants: "./constants-accelerate.js",
+            tags: [ACCELERATE_TAG.id],
+          },
+        },
+      }),
+    );
+    const base = standInConfig(sanity, grid, { historyDir: tmpDir });
+
+    const results = [];
+    for (const event of events) {
+      const config = eventConfig(event, { base });
+      const { validation } = await checkSponsors(config, {
+        constants: loadGridConstants(config.constantsPath),
+      });
+      results.push({ event, validation });
+    }
+
+    const [breakpoint, accelerate] = results.map((result) => result.validation);
+    assert.equal(breakpoint.isValid, true);
+    assert.deepEqual(accelerate.missingInConstants, ["Beta"]);
+    assert.deepEqual(accelerate.extraInConstants, ["Gone"]);
+    // Acme is only tagged for Breakpoint
+    assert.deepEqual(
+      accelerate.existingProfiles.map((result) => [
+        result.slug,
+        result.tagChecks[ACCELERATE_TAG.id],
+      ]),
+      [["acme", false]],
+    );
+
+    const lines = [];
+    t.mock.method(console, "log", (line) => lines.push(line));
+    printEventsSummary([
+      ...results,
+      { event: { id: "broken", name: "Broken" }, validation: null },
+    ]);
+
+    assert.deepEqual(lines.slice(1), [
+      "   • Breakpoint 2025 (breakpoint-2025): ✅ All sponsors match",
+      `   • Accelerate (accelerate): ${lines[2].split(": ")[1]}`,
+      "   • Broken (broken): 💥 run failed (see the errors above)",
+      `   Total: ${lines[2].split(": ")[1]} (1 failed)`,
+    ]);
+    assert.match(lines[2], /1 missing from constants, 1 extra in constants/);
+  });
+
+  test("a failed event run outranks collisions in the exit code", async () => {
+    const file = writeConfig({
+      defaults: { dataset: "breakpoint", tags: [BREAKPOINT_TAG.id] },
+      events: {
+        broken: { tokenEnv: "BROKEN_EVENT_TOKEN" },
+        shared: { constants: "./constants-shared.js" },
+      },
+    });
+
+    const { exitCode, stdout } = await runMain(
+      ["check", "--config", file, "-q", "--no-history"],
+      { sanity, grid },
+    );
+
+    assert.equal(exitCode, EXIT_CODES.FAILED);
+    assert.match(stdout, /broken \(broken\): 💥 run failed/);
+    assert.match(stdout, /shared \(shared\): .*collision/);
+  });
+
+  test("--constants on the command line wins over the event's", async () => {
+    const file = writeConfig({
+      events: {
+        accelerate: {
+          dataset: "accelerate",
+          constants: "./constants-accelerate.js",
+          tags: [ACCELERATE_TAG.id],
+        },
+      },
+    });
+
+    const { stdout } = await runMain(
+      [
+        "check",
+        "--config",
+        file,
+        "--constants",
+        path.join(tmpDir, "constants-breakpoint.js"),
+        "-q",
+        "--no-history",
+      ],
+      { sanity, grid },
+    );
+
+    // Gone is only in the event's constants
+    assert.match(
+      stdout,
+      /accelerate \(accelerate\): ❌ 1 missing from constants/,
+    );
+    assert.doesNotMatch(stdout, /extra in constants/);
+  });
+
+  test("event settings don't leak into the next main() call", async () => {
+    const file = writeConfig({
+      events: {
+        accelerate: {
+          dataset: "accelerate",
+          constants: "./constants-accelerate.js",
+          tags: [ACCELERATE_TAG.id],
+        },
+      },
+    });
+    await runMain(["check", "--config", file, "-q", "--no-history"], {
+      sanity,
+      grid,
+    });
+
+    const { exitCode, stdout } = await runMain(
+      [
+        "check",
+        "-q",
+        "--no-history",
+        "--constants",
+        path.join(tmpDir, "constants-breakpoint.js"),
+      ],
+      {
+        sanity,
+        grid,
+        env: {
+          NEXT_PUBLIC_SANITY_DATASET: "breakpoint",
+          GRID_EVENT_TAGS: BREAKPOINT_TAG.id,
+        },
+      },
+    );
+
+    // A single run prints its own summary line, with its own dataset
+    assert.equal(exitCode, 0);
+    assert.match(stdout, /All sponsors match/);
+  });
+});
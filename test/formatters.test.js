@@ -0,0 +1,110 @@
+const assert = require("node:assert/strict");
+const { after, before, test } = require("node:test");
+
+const {
+  checkSponsors,
+  generateCSV,
+  setLogLevel,
+} = require("../check-sponsors-standalone.js");
+const {
+  startGridServer,
+  startSanityServer,
+  standInConfig,
+  sponsorPage,
+} = require("./stand-ins.js");
+
+setLogLevel("quiet");
+
+// Minimal RFC 4180 parser, enough to read the report back
+function parseCSV(text) {
+  const rows = [[]];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      rows[rows.length - 1].push(cell);
+      cell = "";
+    } else if (char === "\n") {
+      rows[rows.length - 1].push(cell);
+      rows.push([]);
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  rows[rows.length - 1].push(cell);
+  return rows;
+}
+
+let sanity;
+let grid;
+let validation;
+
+before(async () => {
+  sanity = await startSanityServer({
+    pages: [
+      sponsorPage("breakpoint", {
+        sponsors: [
+          { title: 'Acme "Labs", Inc.', website: "https://acme.com" },
+          { title: "Line\nBreak" },
+        ],
+      }),
+    ],
+  });
+  grid = await startGridServer({
+    profiles: [
+      {
+        id: "acme-id",
+        slug: "acme",
+        urlMain: "https://acme.com",
+        tags: [{ id: "id1-tag", name: 'Tag, with "quotes"' }],
+      },
+    ],
+    tags: [{ id: "id1-tag", name: 'Tag, with "quotes"' }],
+  });
+
+  ({ validation } = await checkSponsors(
+    standInConfig(sanity, grid, { eventTagRefs: ["id1-tag"] }),
+    {
+      constants: { 'Acme "Labs", Inc.': "acme", "Line\nBreak": "line-break" },
+    },
+  ));
+});
+after(async () => {
+  await sanity.close();
+  await grid.close();
+});
+
+test("CSV cells with quotes, commas and newlines survive a round trip", () => {
+  const [headers, ...rows] = parseCSV(generateCSV(validation));
+  const column = (name) => headers.indexOf(name);
+
+  const acme = rows.find((row) => row[column("Slug")] === "acme");
+  assert.equal(acme[column("Sponsor Title")], 'Acme "Labs", Inc.');
+  assert.equal(acme[column("Tag Names")], 'Tag, with "quotes"');
+  assert.equal(acme[column("Status")], "found");
+
+  const lineBreak = rows.find((row) => row[column("Slug")] === "line-break");
+  assert.equal(lineBreak[column("Sponsor Title")], "Line\nBreak");
+  assert.ok(rows.every((row) => row.length === headers.length));
+});
+
+test("CSV headers are only quoted when needed", () => {
+  const headerLine = generateCSV(validation).split("\n")[0];
+
+  assert.ok(headerLine.startsWith("Sponsor Title,Slug,Status,"));
+  assert.ok(headerLine.includes('"Has Tag, with ""quotes"" Tag"'));
+});
@@ -0,0 +1,121 @@
+const assert = require("node:assert/strict");
+const { after, before, test } = require("node:test");
+
+const {
+  FORMATTERS,
+  checkSponsors,
+  generateHTML,
+  setLogLevel,
+} = require("../check-sponsors-standalone.js");
+const {
+  startGridServer,
+  startSanityServer,
+  standInConfig,
+  sponsorPage,
+} = require("./stand-ins.js");
+
+setLogLevel("quiet");
+
+const LONG_TAG = {
+  id: "id1-event",
+  name: "Breakpoint 2025 Abu Dhabi Sponsors",
+};
+
+let sanity;
+let grid;
+let validation;
+
+before(async () => {
+  sanity = await startSanityServer({
+    pages: [
+      sponsorPage("breakpoint", {
+        sponsors: [
+          {
+            title: "A Very Long Sponsor Title <script>alert(1)</script>",
+            website: "https://long.example",
+          },
+          { title: "Tagged", website: "javascript:alert(1)" },
+          { title: "Newcomer", website: "https://newcomer.io" },
+        ],
+      }),
+    ],
+  });
+  grid = await startGridServer({
+    profiles: [
+      {
+        id: "long-profile-id-0123456789",
+        slug: "a-very-long-sponsor-slug",
+        urlMain: "https://long.example",
+      },
+      {
+        id: "tagged-id",
+        slug: "tagged",
+        urlMain: "https://tagged.io",
+        tags: [LONG_TAG],
+      },
+      { id: "newcomer-id", slug: "newcomer", name: "Newcomer" },
+    ],
+    tags: [LONG_TAG],
+  });
+
+  ({ validation } = await checkSponsors(
+    standInConfig(sanity, grid, { eventTagRefs: [LONG_TAG.id] }),
+    {
+      constants: {
+        "A Very Long Sponsor Title <script>alert(1)</script>":
+          "a-very-long-sponsor-slug",
+        Tagged: "tagged",
+        Stale: "stale-slug",
+      },
+    },
+  ));
+});
+after(async () => {
+  await sanity.close();
+  await grid.close();
+});
+
+test("is a complete page with the summary and every table", () => {
+  const html = generateHTML(validation);
+
+  assert.ok(html.startsWith("<!DOCTYPE html>"));
+  assert.ok(html.trimEnd().endsWith("</html>"));
+  assert.doesNotMatch(html, /<link |<script src=/);
+  ["missing", "extra", "not-found", "tag-missing", "profiles"].forEach((id) =>
+    assert.match(html, new RegExp(`<table id="${id}">`)),
+  );
+  assert.match(html, /<strong>1<\/strong>Missing from constants/);
+  assert.match(html, /<strong>1<\/strong>Extra in constants/);
+  assert.equal(FORMATTERS.html.extension, "html");
+
+  // The inline script is valid JavaScript
+  const script = html.match(/<script>([\s\S]*)<\/script>/)[1];
+  assert.doesNotThrow(() => new Function(script));
+});
+
+test("shows full titles, ids and tag names, escaped", () => {
+  const html = generateHTML(validation);
+
+  assert.match(
+    html,
+    /A Very Long Sponsor Title &lt;script&gt;alert\(1\)&lt;\/script&gt;/,
+  );
+  assert.doesNotMatch(html, /<script>alert/);
+  assert.match(html, /long-profile-id-0123456789/);
+  assert.match(html, /Breakpoint 2025 Abu Dhabi Sponsors/);
+});
+
+test("links Grid profiles and websites, but only http(s) URLs", () => {
+  const html = generateHTML(validation, {
+    profileUrl: "https://grid.example/p/{slug}",
+  });
+
+  assert.match(
+    html,
+    /<a href="https:\/\/grid\.example\/p\/tagged" target="_blank" rel="noopener noreferrer">tagged<\/a>/,
+  );
+  assert.match(html, /<a href="https:\/\/long\.example"/);
+  // Suggested slug for the sponsor missing from the constants
+  assert.match(html, /href="https:\/\/grid\.example\/p\/newcomer"/);
+  assert.doesNotMatch(html, /href="javascript:/);
+});
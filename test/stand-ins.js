@@ -0,0 +1,304 @@
+/**
+ * Local HTTP servers standing in for the Sanity query API, the Grid
+ * GraphQL API and a Slack webhook, plus a client config pointing at them.
+ *
+ * The Grid stand-in answers the queries the checker sends (batch lookups,
+ * tag lookups, case-insensitive and search lookups) from an in-memory list
+ * of profiles. Both servers record every request they receive, and an
+ * `intercept(request, index)` hook can replace a response to simulate
+ * failures: return { status, body, headers }, { delay }, or nothing.
+ *
+ * runMain() runs the CLI entry point against the stand-ins.
+ */
+
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const util = require("util");
+const { main } = require("../check-sponsors-standalone.js");
+const { CONFIG_VARS } = require("../lib/env.js");
+const log = require("../lib/logger.js");
+
+// Translate a GraphQL _ilike pattern (% wildcards, \ escapes) to a RegExp
+function likeToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "\\" && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    } else if (char === "%") {
+      source += ".*";
+    } else if (char === "_") {
+      source += ".";
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`, "i");
+}
+
+// Read the request body, let `intercept` override the response, then
+// answer with `handle(request)` as JSON
+function startServer(handle, intercept) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", async () => {
+      const request = {
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: raw ? JSON.parse(raw) : null,
+      };
+      requests.push(request);
+
+      const override = intercept
+        ? await intercept(request, requests.length - 1)
+        : null;
+      if (override?.delay) {
+        await new Promise((resolve) => setTimeout(resolve, override.delay));
+        if (res.destroyed) return;
+      }
+
+      const status = override?.status || 200;
+      const body =
+        override?.body !== undefined ? override.body : handle(request);
+      res.writeHead(status, {
+        "Content-Type": "application/json",
+        ...override?.headers,
+      });
+      res.end(typeof body === "string" ? body : JSON.stringify(body));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        requests,
+        close: () =>
+          new Promise((done) => {
+            server.closeAllConnections();
+            server.close(done);
+          }),
+      });
+    });
+  });
+}
+
+/**
+ * Sanity stand-in: every query returns `pages` as its result, the shape
+ * produced by the sponsor GROQ query.
+ */
+function startSanityServer({ pages = [], intercept } = {}) {
+  return startServer(() => ({ result: pages }), intercept);
+}
+
+/**
+ * Grid stand-in. It also accepts the AddProfileTag mutation, which adds
+ * the tag to the profile so a later lookup sees it.
+ *
+ *   profiles  [{ id, slug, urlMain, name, tags: [{ id, name }], logo,
+ *              descriptionShort, descriptionLong, products: [name],
+ *              socials: [url] }]
+ *   tags      [{ id, name }] known to the tags query
+ */
+function startGridServer({ profiles = [], tags = [], intercept } = {}) {
+  const toRoot = (profile) => ({
+    id: profile.id,
+    slug: profile.slug,
+    urlMain: profile.urlMain || null,
+    profileInfos: [
+      {
+        name: profile.name || profile.slug,
+        logo: profile.logo || null,
+        descriptionShort: profile.descriptionShort || null,
+        descriptionLong: profile.descriptionLong || null,
+      },
+    ],
+    products: (profile.products || []).map((name, index) => ({
+      id: `${profile.id}-product-${index}`,
+      name,
+    })),
+    socials: (profile.socials || []).map((url, index) => ({
+      id: `${profile.id}-social-${index}`,
+      url,
+    })),
+    profileTags: (profile.tags || []).map((tag, index) => ({
+      id: `${profile.id}-tag-${index}`,
+      tagId: tag.id,
+      tag: { id: tag.id, name: tag.name },
+    })),
+  });
+
+  return startServer(({ body }) => {
+    const { query, variables } = body;
+
+    if (query.includes("query BatchProfiles")) {
+      return {
+        data: {
+          roots: profiles
+            .filter((profile) => variables.slugs.includes(profile.slug))
+            .map(toRoot),
+        },
+      };
+    }
+    if (query.includes("query GetTagDetails")) {
+      const names = Object.keys(variables)
+        .filter((name) => /^name\d+$/.test(name))
+        .map((name) => likeToRegExp(variables[name]));
+      return {
+        data: {
+          tags: tags.filter(
+            (tag) =>
+              variables.tagRefs.includes(tag.id) ||
+              names.some((pattern) => pattern.test(tag.name)),
+          ),
+        },
+      };
+    }
+    if (query.includes("query CaseInsensitiveSlug")) {
+      const pattern = likeToRegExp(variables.slug);
+      return {
+        data: {
+          roots: profiles
+            .filter((profile) => pattern.test(profile.slug))
+            .map(toRoot),
+        },
+      };
+    }
+    if (query.includes("query SearchProfiles")) {
+      const name = likeToRegExp(variables.namePattern);
+      const domain = variables.domainPattern
+        ? likeToRegExp(variables.domainPattern)
+        : null;
+      return {
+        data: {
+          roots: profiles
+            .filter(
+              (profile) =>
+                name.test(profile.slug) ||
+                name.test(profile.name || "") ||
+                (domain && domain.test(profile.urlMain || "")),
+            )
+            .map(toRoot),
+        },
+      };
+    }
+
+    if (query.includes("mutation AddProfileTag")) {
+      const profile = profiles.find(
+        (candidate) => candidate.id === variables.rootId,
+      );
+      if (!profile) {
+        return { errors: [{ message: `Root ${variables.rootId} not found` }] };
+      }
+      const tag = tags.find((candidate) => candidate.id === variables.tagId);
+      profile.tags = [
+        ...(profile.tags || []),
+        tag || { id: variables.tagId, name: null },
+      ];
+      return { data: { insertProfileTags: { affectedRows: 1 } } };
+    }
+
+    return { errors: [{ message: "Unknown query" }] };
+  }, intercept);
+}
+
+// Incoming-webhook stand-in: answers "ok" like Slack and records payloads
+function startWebhookServer({ intercept } = {}) {
+  return startServer(() => "ok", intercept);
+}
+
+// Client config for the stand-ins: no courtesy delay, fast retries
+function standInConfig(sanity, grid, overrides = {}) {
+  return {
+    projectId: "test",
+    dataset: "production",
+    token: "test-token",
+    sanityApiUrl: sanity.url,
+    gridEndpoint: `${grid.url}/graphql`,
+    requestDelay: 0,
+    retry: { retries: 1, baseDelay: 1, timeout: 500 },
+    ...overrides,
+  };
+}
+
+// A Sanity page with one sponsor section
+function sponsorPage(slug, { sponsors = [], supportingSponsors = [] } = {}) {
+  return {
+    _id: `page-${slug}`,
+    slug,
+    sponsorSections: [
+      {
+        _type: "sponsorSection",
+        _key: "section-1",
+        title: "Sponsors",
+        sponsors,
+        supportingSponsors,
+      },
+    ],
+  };
+}
+
+/**
+ * Run main(argv) with the Sanity and Grid settings pointing at the
+ * stand-ins (plus `env`), set on process.env for the duration of the run.
+ * The repo's .env files are not read and every other setting the CLI
+ * knows is cleared, so a developer's own settings can't reach the tests.
+ * Console output is captured and the log level restored afterwards.
+ * Resolves with { exitCode, stdout, stderr }.
+ */
+async function runMain(argv, { sanity, grid, env = {} }) {
+  const settings = {
+    NEXT_PUBLIC_SANITY_PROJECT_ID: "test",
+    NEXT_PUBLIC_SANITY_DATASET: "production",
+    SANITY_API_READ_TOKEN: "test-token",
+    SANITY_API_URL: sanity.url,
+    GRID_GRAPHQL_ENDPOINT: `${grid.url}/graphql`,
+    ...env,
+  };
+  const keys = new Set([...CONFIG_VARS, ...Object.keys(settings)]);
+  const saved = Object.fromEntries(
+    [...keys].map((key) => [key, process.env[key]]),
+  );
+  const envDir = fs.mkdtempSync(path.join(os.tmpdir(), "sponsor-env-"));
+  const level = log.getLevel();
+  const { log: consoleLog, error: consoleError } = console;
+  const stdout = [];
+  const stderr = [];
+
+  CONFIG_VARS.forEach((key) => delete process.env[key]);
+  Object.assign(process.env, settings);
+  console.log = (...args) => stdout.push(util.format(...args));
+  console.error = (...args) => stderr.push(util.format(...args));
+  try {
+    const exitCode = await main(argv, { envDir });
+    return { exitCode, stdout: stdout.join("\n"), stderr: stderr.join("\n") };
+  } finally {
+    console.log = consoleLog;
+    console.error = consoleError;
+    log.setLevel(level);
+    fs.rmSync(envDir, { recursive: true, force: true });
+    Object.entries(saved).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  }
+}
+
+module.exports = {
+  likeToRegExp,
+  startSanityServer,
+  startGridServer,
+  startWebhookServer,
+  standInConfig,
+  sponsorPage,
+  runMain,
+};
@@ -0,0 +1,195 @@
+const assert = require("node:assert/strict");
+const { after, before, test } = require("node:test");
+
+const {
+  checkSponsors,
+  setLogLevel,
+} = require("../check-sponsors-standalone.js");
+const {
+  TAG_MUTATION,
+  applyTagging,
+  buildTaggingPayloads,
+  createTaggingBatch,
+  listSkippedProfiles,
+} = require("../lib/tagging.js");
+const {
+  startGridServer,
+  startSanityServer,
+  standInConfig,
+  sponsorPage,
+} = require("./stand-ins.js");
+
+setLogLevel("quiet");
+
+const EVENT_TAG = { id: "id1-event", name: "Breakpoint 2025" };
+const SIDE_TAG = { id: "id2-side", name: "Side Event" };
+
+let sanity;
+let grid;
+let gridIntercept = null;
+
+before(async () => {
+  sanity = await startSanityServer({
+    pages: [
+      sponsorPage("breakpoint", {
+        sponsors: [
+          { title: "Acme" },
+          { title: "Acme Labs" },
+          { title: "Tagged" },
+          { title: "Gone" },
+          { title: "Beta Network" },
+        ],
+      }),
+    ],
+  });
+  grid = await startGridServer({
+    profiles: [
+      { id: "acme-id", slug: "acme" },
+      { id: "tagged-id", slug: "tagged", tags: [EVENT_TAG, SIDE_TAG] },
+      { id: "drpc-id", slug: "drpc" },
+      { id: "beta-id", slug: "beta" },
+    ],
+    tags: [EVENT_TAG, SIDE_TAG],
+    intercept: (request, index) => gridIntercept?.(request, index),
+  });
+});
+after(async () => {
+  await sanity.close();
+  await grid.close();
+});
+
+const run = () =>
+  checkSponsors(
+    standInConfig(sanity, grid, {
+      eventTagRefs: [EVENT_TAG.id, SIDE_TAG.id],
+    }),
+    {
+      constants: {
+        Acme: "acme",
+        "Acme Labs": "acme",
+        Tagged: "tagged",
+        Gone: "gone",
+        // In the constants, not a sponsor of this event
+        DRPC: "drpc",
+        // Only a fuzzy match for "Beta Network"
+        "Beta Netwrk": "beta",
+      },
+    },
+  );
+
+test("builds one mutation per untagged profile and tag", async () => {
+  const { validation } = await run();
+  const payloads = buildTaggingPayloads(validation);
+
+  // "Acme Labs" shares the profile, "Gone" has none, "Tagged" is done,
+  // "DRPC" is not in Sanity, "Beta Netwrk" is only a probable rename
+  assert.deepEqual(
+    payloads.map((payload) => [payload.sponsorTitle, payload.tagId]),
+    [
+      ["Acme", EVENT_TAG.id],
+      ["Acme", SIDE_TAG.id],
+    ],
+  );
+  assert.equal(payloads[0].query, TAG_MUTATION);
+  assert.deepEqual(payloads[0].variables, {
+    rootId: "acme-id",
+    tagId: EVENT_TAG.id,
+  });
+
+  const batch = createTaggingBatch(payloads, {
+    createdAt: validation.checkedAt,
+    endpoint: "http://grid.test/graphql",
+  });
+  assert.equal(batch.mutations.length, 2);
+  assert.deepEqual(batch.skipped, []);
+  assert.deepEqual(batch.mutations[1].tag, SIDE_TAG);
+  assert.equal(batch.endpoint, "http://grid.test/graphql");
+});
+
+test("profiles of probable renames are skipped for review", async () => {
+  const { validation } = await run();
+
+  assert.deepEqual(listSkippedProfiles(validation), [
+    {
+      sponsorTitle: "Beta Netwrk",
+      sanityTitle: "Beta Network",
+      slug: "beta",
+      profileId: "beta-id",
+    },
+  ]);
+  assert.equal(
+    buildTaggingPayloads(validation).some(
+      (payload) => payload.profileId === "beta-id",
+    ),
+    false,
+  );
+});
+
+test("--apply sends the mutations and the tags show up on the next run", async () => {
+  const { validation } = await run();
+  grid.requests.length = 0;
+
+  const results = await applyTagging(buildTaggingPayloads(validation), {
+    endpoint: `${grid.url}/graphql`,
+    token: "grid-token",
+    requestDelay: 0,
+    retry: { retries: 0, timeout: 500 },
+  });
+
+  assert.deepEqual(
+    results.map((result) => result.applied),
+    [true, true],
+  );
+  assert.equal(grid.requests.length, 2);
+  assert.equal(grid.requests[0].headers.authorization, "Bearer grid-token");
+  assert.match(grid.requests[0].body.query, /mutation AddProfileTag/);
+
+  const { validation: after } = await run();
+  assert.deepEqual(buildTaggingPayloads(after), []);
+});
+
+test("a failed mutation does not stop the others", async () => {
+  const payloads = [
+    { sponsorTitle: "Ghost", profileId: "ghost-id", tagName: "Breakpoint" },
+    { sponsorTitle: "Tagged", profileId: "tagged-id", tagName: "Breakpoint" },
+  ].map((payload) => ({
+    ...payload,
+    query: TAG_MUTATION,
+    variables: { rootId: payload.profileId, tagId: EVENT_TAG.id },
+  }));
+
+  const results = await applyTagging(payloads, {
+    endpoint: `${grid.url}/graphql`,
+    requestDelay: 0,
+    retry: { retries: 0, timeout: 500 },
+  });
+
+  assert.equal(results[0].applied, false);
+  assert.equal(results[0].error, "GraphQL error: Root ghost-id not found");
+  assert.equal(results[1].applied, true);
+});
+
+test("mutations are not retried", async () => {
+  const payload = {
+    sponsorTitle: "Acme",
+    profileId: "acme-id",
+    tagName: "Breakpoint",
+    query: TAG_MUTATION,
+    variables: { rootId: "acme-id", tagId: EVENT_TAG.id },
+  };
+  grid.requests.length = 0;
+  gridIntercept = () => ({ status: 503 });
+
+  try {
+    const [result] = await applyTagging([payload], {
+      endpoint: `${grid.url}/graphql`,
+      requestDelay: 0,
+      retry: { retries: 3, baseDelay: 1, timeout: 500 },
+    });
+
+    assert.equal(result.applied, false);
+    assert.equal(grid.requests.length, 1);
+  } finally {
+    gridIntercept = null;
+  }
+});
@@ -0,0 +1,186 @@
+const assert = require("node:assert/strict");
+const { PassThrough } = require("node:stream");
+const { after, before, test } = require("node:test");
+
+const {
+  checkSponsors,
+  parseGridSlugs,
+  setLogLevel,
+} = require("../check-sponsors-standalone.js");
+const { rewriteGridSlugs } = require("../lib/constants-source.js");
+const {
+  buildTriageItems,
+  parseAnswer,
+  runTriage,
+  triageChanges,
+} = require("../lib/triage.js");
+const {
+  startGridServer,
+  startSanityServer,
+  standInConfig,
+  sponsorPage,
+} = require("./stand-ins.js");
+
+setLogLevel("quiet");
+
+const SOURCE = `const GRID_SLUGS = {
+  Acme: "acme",
+  Typo: "typ0", // from the old list
+  Gone: "gone",
+  Stale: "stale",
+};
+`;
+
+let sanity;
+let grid;
+let validation;
+let constants;
+
+before(async () => {
+  sanity = await startSanityServer({
+    pages: [
+      sponsorPage("breakpoint", {
+        sponsors: [
+          { title: "Acme" },
+          { title: "Typo" },
+          { title: "Gone" },
+          { title: "Newcomer", website: "https://newcomer.io" },
+          { title: "Unknown" },
+        ],
+      }),
+    ],
+  });
+  grid = await startGridServer({
+    profiles: [
+      { id: "acme-id", slug: "acme" },
+      {
+        id: "newcomer-id",
+        slug: "newcomer",
+        name: "Newcomer",
+        urlMain: "https://newcomer.io",
+      },
+      { id: "newco-id", slug: "newco", name: "Newco" },
+    ],
+  });
+
+  constants = { source: SOURCE, ...parseGridSlugs(SOURCE) };
+  ({ validation } = await checkSponsors(standInConfig(sanity, grid), {
+    constants,
+  }));
+});
+after(async () => {
+  await sanity.close();
+  await grid.close();
+});
+
+// Answer the triage questions from a script, capturing what was shown
+function answer(items, lines) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let shown = "";
+  output.on("data", (chunk) => {
+    shown += chunk;
+  });
+  input.end(lines.map((line) => `${line}\n`).join(""));
+
+  return runTriage(items, {
+    input,
+    output,
+    profileUrl: "https://grid.example/p/{slug}",
+  }).then((result) => ({ ...result, shown }));
+}
+
+test("lists missing sponsors, stale keys and profiles not found", () => {
+  const items = buildTriageItems(validation, constants.map);
+
+  assert.deepEqual(
+    items.map((item) => [item.kind, item.key, item.proposal]),
+    [
+      ["missing", "Newcomer", "newcomer"],
+      ["missing", "Unknown", null],
+      ["extra", "Stale", null],
+      ["not_found", "Typo", null],
+      ["not_found", "Gone", null],
+    ],
+  );
+  assert.equal(items[0].website, "https://newcomer.io");
+  assert.equal(items[2].currentSlug, "stale");
+  assert.equal(items[3].currentSlug, "typ0");
+});
+
+test("parses accept, candidate numbers, commands and typed slugs", () => {
+  const item = {
+    kind: "missing",
+    proposal: "newcomer",
+    candidates: [{ slug: "newcomer" }, { slug: "newco" }],
+  };
+
+  assert.deepEqual(parseAnswer("", item), { action: "set", slug: "newcomer" });
+  assert.deepEqual(parseAnswer("2", item), { action: "set", slug: "newco" });
+  assert.deepEqual(parseAnswer(" N ", item), { action: "null", slug: null });
+  assert.equal(parseAnswer("s", item), "skip");
+  assert.equal(parseAnswer("q", item), "quit");
+  assert.deepEqual(parseAnswer("new-slug", item), {
+    action: "set",
+    slug: "new-slug",
+  });
+  assert.ok(parseAnswer("3", item).error);
+  assert.ok(parseAnswer("two words", item).error);
+  assert.ok(parseAnswer("", { ...item, proposal: null }).error);
+  assert.deepEqual(parseAnswer("a", { kind: "extra" }), {
+    action: "remove",
+    slug: null,
+  });
+});
+
+test("walks through every item and saves the answers to the constants", async () => {
+  const items = buildTriageItems(validation, constants.map);
+  // Newcomer: accept, Unknown: nothing to accept, then null; Stale: remove;
+  // Typo: typed slug; Gone: skip
+  const { decisions, quit, shown } = await answer(items, [
+    "",
+    "",
+    "n",
+    "a",
+    "typo",
+    "s",
+  ]);
+
+  assert.equal(quit, false);
+  assert.match(shown, /\[1\/5\] Missing from constants: "Newcomer"/);
+  assert.match(shown, /1\. newcomer \(\d+%, domain match\)/);
+  assert.match(shown, /https:\/\/grid\.example\/p\/newcomer/);
+  assert.match(shown, /! Nothing to accept/);
+  assert.match(shown, /Current slug: "typ0"/);
+
+  const updated = rewriteGridSlugs(constants, triageChanges(decisions));
+  assert.equal(
+    updated,
+    `const GRID_SLUGS = {
+  Acme: "acme",
+  Typo: "typo", // from the old list
+  Gone: "gone",
+  Newcomer: "newcomer",
+  Unknown: null, // TBD (triage)
+};
+`,
+  );
+});
+
+test("quitting (or the end of the input) keeps the answers so far", async () => {
+  const items = buildTriageItems(validation, constants.map);
+
+  const quitted = await answer(items, ["1", "q"]);
+  assert.equal(quitted.quit, true);
+  assert.deepEqual(
+    quitted.decisions.map((decision) => [decision.item.key, decision.slug]),
+    [["Newcomer", "newcomer"]],
+  );
+
+  const ended = await answer(items, ["s", "n"]);
+  assert.equal(ended.quit, true);
+  assert.deepEqual(
+    ended.decisions.map((decision) => [decision.item.key, decision.action]),
+    [["Unknown", "null"]],
+  );
+});
@@ -0,0 +1,223 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  test,
+} = require("node:test");
+
+const {
+  checkSponsors,
+  parseGridSlugs,
+  setLogLevel,
+} = require("../check-sponsors-standalone.js");
+const {
+  collectIssues,
+  parseInterval,
+  runWatchCycle,
+  watchSponsors,
+} = require("../lib/watch.js");
+const {
+  startGridServer,
+  startSanityServer,
+  startWebhookServer,
+  standInConfig,
+  sponsorPage,
+} = require("./stand-ins.js");
+
+setLogLevel("quiet");
+
+test("parseInterval reads seconds, minutes and hours", () => {
+  assert.equal(parseInterval("90s"), 90000);
+  assert.equal(parseInterval("15m"), 900000);
+  assert.equal(parseInterval("1.5h"), 5400000);
+  assert.equal(parseInterval("10"), 600000);
+  assert.equal(parseInterval("soon"), null);
+  assert.equal(parseInterval("-5m"), null);
+});
+
+describe("watch cycles", () => {
+  const pages = [];
+  let sanity;
+  let grid;
+  let webhook;
+  let webhookIntercept = null;
+  let tmpDir;
+  let statePath;
+
+  before(async () => {
+    sanity = await startSanityServer({ pages });
+    grid = await startGridServer({
+      profiles: [{ id: "acme-id", slug: "acme", urlMain: "https://acme.com" }],
+      // Lookups of "broken" fail, to simulate an unreachable Grid
+      intercept: (request) =>
+        request.body.variables.slugs?.includes("broken")
+          ? { status: 503 }
+          : null,
+    });
+    webhook = await startWebhookServer({
+      intercept: (request, index) => webhookIntercept?.(request, index),
+    });
+  });
+  after(async () => {
+    await sanity.close();
+    await grid.close();
+    await webhook.close();
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "sponsor-watch-"));
+    statePath = path.join(tmpDir, "state.json");
+    webhook.requests.length = 0;
+    webhookIntercept = null;
+  });
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const setSponsors = (titles) => {
+    pages.length = 0;
+    pages.push(
+      sponsorPage("breakpoint", {
+        sponsors: titles.map((title) => ({ title })),
+      }),
+    );
+  };
+
+  const check = async (constants) => {
+    const { validation } = await checkSponsors(
+      standInConfig(sanity, grid, { eventTagRefs: ["id1-event"] }),
+      { constants },
+    );
+    return validation;
+  };
+
+  const cycle = async (constants) =>
+    runWatchCycle(await check(constants), {
+      statePath,
+      webhookUrl: `${webhook.url}/hooks/test`,
+      retry: { retries: 0, timeout: 500 },
+    });
+
+  test("announces new issues once and then their resolution", async () => {
+    setSponsors(["Acme", "Newcomer"]);
+
+    const first = await cycle({ Acme: "acme" });
+    assert.deepEqual(
+      first.added.map((issue) => issue.id),
+      ["missing:Newcomer"],
+    );
+    assert.equal(first.posted, true);
+    assert.equal(webhook.requests.length, 1);
+    assert.equal(webhook.requests[0].url, "/hooks/test");
+    assert.match(webhook.requests[0].body.text, /\*Sponsor check\*: 1 new/);
+    assert.match(webhook.requests[0].body.text, /\*Newcomer\* is in Sanity/);
+
+    // Same discrepancy again: nothing to announce
+    const second = await cycle({ Acme: "acme" });
+    assert.equal(second.added.length, 0);
+    assert.equal(second.posted, false);
+    assert.equal(webhook.requests.length, 1);
+
+    const third = await cycle({ Acme: "acme", Newcomer: "acme" });
+    assert.deepEqual(
+      third.resolved.map((issue) => issue.id),
+      ["missing:Newcomer"],
+    );
+    // Both keys now point at one slug: a new issue in the same message
+    assert.equal(third.added[0].id.startsWith("collision:"), true);
+    assert.match(webhook.requests[1].body.text, /1 new, 1 resolved/);
+    assert.match(webhook.requests[1].body.text, /~\*Newcomer\* is in Sanity/);
+  });
+
+  test("keeps issues of failed lookups instead of resolving them", async () => {
+    setSponsors(["Acme", "Gone"]);
+
+    const first = await cycle({ Acme: "acme", Gone: "gone" });
+    assert.deepEqual(
+      first.added.map((issue) => issue.id),
+      ["not_found:Gone"],
+    );
+
+    const second = await cycle({ Acme: "acme", Gone: "broken" });
+    assert.deepEqual(second.resolved, []);
+    assert.ok(
+      JSON.parse(fs.readFileSync(statePath, "utf8")).issues["not_found:Gone"],
+    );
+  });
+
+  test("announces again after a failed webhook post", async () => {
+    setSponsors(["Acme", "Newcomer"]);
+    webhookIntercept = (request, index) =>
+      index === 0 ? { status: 500, body: "down" } : null;
+
+    const first = await cycle({ Acme: "acme" });
+    assert.equal(first.posted, false);
+    assert.equal(fs.existsSync(statePath), false);
+
+    const second = await cycle({ Acme: "acme" });
+    assert.equal(second.posted, true);
+    assert.equal(second.added.length, 1);
+    assert.equal(webhook.requests.length, 2);
+  });
+
+  test("collectIssues gives every discrepancy a stable id", async () => {
+    setSponsors(["Acme", "Newcomer"]);
+
+    const ids = collectIssues(
+      await check({ Acme: "acme", Stale: "stale" }),
+    ).map((issue) => issue.id);
+
+    assert.deepEqual(ids.sort(), [
+      "extra:Stale",
+      "missing:Newcomer",
+      "not_found:Stale",
+    ]);
+  });
+
+  test("collision ids don't change when lines shift", async () => {
+    setSponsors(["Acme"]);
+    const collisionIds = async (source) =>
+      collectIssues(await check({ source, ...parseGridSlugs(source) }))
+        .map((issue) => issue.id)
+        .filter((id) => id.startsWith("collision:"));
+
+    const original = await collisionIds(
+      'const GRID_SLUGS = {\n  Acme: "acme",\n  Acme: "acme",\n};\n',
+    );
+    const shifted = await collisionIds(
+      '// Grid slugs\n\nconst GRID_SLUGS = {\n  Acme: "acme",\n\n  Acme: "acme",\n};\n',
+    );
+
+    assert.deepEqual(original, ["collision:duplicate_key:Acme"]);
+    assert.deepEqual(shifted, original);
+  });
+
+  test("watchSponsors keeps going after a failed check", async () => {
+    setSponsors(["Acme"]);
+    const sleeps = [];
+    let calls = 0;
+
+    await watchSponsors(
+      async () => {
+        calls++;
+        if (calls === 1) throw new Error("Sanity is down");
+        return check({ Acme: "acme" });
+      },
+      {
+        cycles: 3,
+        intervalMs: 60000,
+        statePath,
+        sleep: async (ms) => sleeps.push(ms),
+      },
+    );
+
+    assert.equal(calls, 3);
+    assert.deepEqual(sleeps, [60000, 60000]);
+  });
+});